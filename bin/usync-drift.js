@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Print the drift report of a parent monorepo, e.g. for a local audit:
+//
+//   GH_TOKEN=... usync-drift my-org/monorepo
+//
+// Exits with 1 if any child repo has drifted
+
+const {USyncError} = require('usyncit');
+const {getDriftReport, hasDrift} = require('../lib/drift.js');
+const lang = require('../lib/lang.js');
+
+const [parentRepoName] = process.argv.slice(2);
+
+if (!parentRepoName) {
+  console.error('Usage: usync-drift <parent repo>');
+  process.exit(2);
+}
+
+getDriftReport(parentRepoName).then(
+  report => {
+    console.log(lang.notify_drift(report));
+    process.exitCode = hasDrift(report) ? 1 : 0;
+  },
+  error => {
+    console.error(error instanceof USyncError ? error.message : error);
+    process.exitCode = 2;
+  },
+);
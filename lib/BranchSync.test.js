@@ -0,0 +1,259 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {USyncError} = require('usyncit');
+const BranchSync = require('./BranchSync.js');
+const lang = require('./lang.js');
+
+const TEMP_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'usync-git-'));
+const REMOTES_PATH = path.join(TEMP_PATH, 'remotes');
+const WORK_PATH = path.join(TEMP_PATH, 'work');
+
+// commits are authored as the global git user
+process.env.HOME = TEMP_PATH;
+fs.writeFileSync(
+  path.join(TEMP_PATH, '.gitconfig'),
+  '[user]\n  name = uSync\n  email = usync@example.com\n[init]\n  defaultBranch = master\n',
+);
+
+BranchSync.configure({
+  getRemoteUrl: repoName => path.join(REMOTES_PATH, `${repoName}.git`),
+  reposCloneDir: path.join(TEMP_PATH, 'clones'),
+});
+
+/**
+ * @param {string} repoName
+ * @param {...string} args
+ * @returns {string}
+ */
+function git(repoName, ...args) {
+  return execFileSync('git', args, {
+    cwd: path.join(WORK_PATH, repoName),
+    encoding: 'utf-8',
+    // child processes otherwise get the real environment, not `HOME`
+    env: process.env,
+    stdio: 'pipe',
+  }).trim();
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @param {Object<string, string>} files path -> content
+ * @param {string} [author] `name <email>`
+ * @returns {string} commit SHA
+ */
+function commit(repoName, branch, files, author = 'Jane <jane@example.com>') {
+  git(repoName, 'checkout', '-B', branch, `origin/${branch}`);
+
+  for (const [filepath, content] of Object.entries(files)) {
+    const fullPath = path.join(WORK_PATH, repoName, filepath);
+
+    fs.mkdirSync(path.dirname(fullPath), {recursive: true});
+    fs.writeFileSync(fullPath, content);
+  }
+
+  git(repoName, 'add', '--all');
+  git(repoName, 'commit', `--author=${author}`, '--message=Change');
+  git(repoName, 'push', 'origin', branch);
+  git(repoName, 'fetch', 'origin');
+  return git(repoName, 'rev-parse', 'HEAD');
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @param {string} from
+ */
+function createBranch(repoName, branch, from) {
+  git(repoName, 'fetch', 'origin');
+  git(repoName, 'push', 'origin', `${from}:refs/heads/${branch}`);
+  git(repoName, 'fetch', 'origin');
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @param {string} filepath
+ * @returns {string}
+ */
+function readFile(repoName, branch, filepath) {
+  git(repoName, 'fetch', 'origin');
+  return git(repoName, 'show', `origin/${branch}:${filepath}`);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch first branch, holding `files`
+ * @param {Object<string, string>} files
+ */
+function createRepo(repoName, branch, files) {
+  const remotePath = path.join(REMOTES_PATH, `${repoName}.git`);
+  const workPath = path.join(WORK_PATH, repoName);
+
+  fs.mkdirSync(remotePath, {recursive: true});
+  execFileSync('git', ['init', '--bare', remotePath], {env: process.env});
+  execFileSync('git', ['clone', remotePath, workPath], {
+    env: process.env,
+    stdio: 'ignore',
+  });
+  git(repoName, 'checkout', '-b', branch);
+
+  for (const [filepath, content] of Object.entries(files)) {
+    const fullPath = path.join(workPath, filepath);
+
+    fs.mkdirSync(path.dirname(fullPath), {recursive: true});
+    fs.writeFileSync(fullPath, content);
+  }
+
+  git(repoName, 'add', '--all');
+  git(repoName, 'commit', '--message=Initial commit');
+  git(repoName, 'push', 'origin', branch);
+  git(repoName, 'fetch', 'origin');
+}
+
+beforeAll(() => {
+  // the child repo syncs `main` rather than `master`
+  createRepo('foo/parent', 'master', {
+    '.usyncrc.json': JSON.stringify({
+      mapping: {'foo/child': {'projects/child': ''}},
+    }),
+    'projects/child/index.js': 'one\n',
+    'README.md': 'parent\n',
+  });
+  createRepo('foo/child', 'main', {'index.js': 'one\n'});
+});
+
+afterAll(() => {
+  execFileSync('rm', ['-rf', TEMP_PATH]);
+});
+
+test('land', async () => {
+  const sync = new BranchSync('foo/parent');
+
+  createBranch('foo/parent', 'feature', 'origin/master');
+  commit('foo/parent', 'feature', {'projects/child/index.js': 'two\n'});
+  commit(
+    'foo/parent',
+    'feature',
+    {'projects/child/index.js': 'three\n'},
+    'Sam <sam@example.com>',
+  );
+
+  const landedRepos = await sync.land({
+    branches: {default: 'main'},
+    commitMessages: {generic: 'Add feature (#1)'},
+    fallbackBranch: 'land/1',
+    headBranch: 'feature',
+    parentBranch: 'master',
+  });
+
+  expect(Object.keys(landedRepos).sort()).toEqual(['foo/child', 'foo/parent']);
+  expect(readFile('foo/child', 'main', 'index.js')).toBe('three');
+  expect(readFile('foo/parent', 'master', 'projects/child/index.js')).toBe(
+    'three',
+  );
+  expect(landedRepos['foo/child'].sha).toBe(
+    git('foo/child', 'rev-parse', 'origin/main'),
+  );
+  expect(git('foo/child', 'log', '-1', '--format=%an%n%B', 'origin/main')).toBe(
+    'Jane\nAdd feature (#1)\n\nCo-authored-by: Sam <sam@example.com>',
+  );
+
+  // conflicts with what just landed, so nothing is pushed
+  createBranch('foo/parent', 'conflict', 'origin/master');
+  commit('foo/child', 'main', {'index.js': 'diverged\n'});
+  commit('foo/parent', 'conflict', {'projects/child/index.js': 'four\n'});
+
+  await expect(
+    sync.land({
+      branches: {default: 'main'},
+      commitMessages: {generic: 'Conflict (#2)'},
+      fallbackBranch: 'land/2',
+      headBranch: 'conflict',
+      parentBranch: 'master',
+    }),
+  ).rejects.toEqual(
+    new USyncError(lang.error_applyFailed('foo/child', 'main')),
+  );
+  expect(readFile('foo/parent', 'master', 'projects/child/index.js')).toBe(
+    'three',
+  );
+});
+
+test('check', async () => {
+  const sync = new BranchSync('foo/parent');
+  const opts = {
+    branches: {default: 'main'},
+    headBranch: 'checked',
+    parentBranch: 'master',
+    repoNames: ['foo/child'],
+  };
+
+  // the land test left the child repo diverged
+  createBranch('foo/parent', 'checked', 'origin/master');
+  commit('foo/parent', 'checked', {'projects/child/index.js': 'five\n'});
+
+  await expect(sync.check(opts)).resolves.toEqual(['foo/child']);
+
+  commit('foo/child', 'main', {'index.js': 'three\n'});
+
+  await expect(sync.check(opts)).resolves.toEqual([]);
+  // nothing is pushed
+  expect(readFile('foo/child', 'main', 'index.js')).toBe('three');
+});
+
+test('import', async () => {
+  const sync = new BranchSync('foo/parent');
+  const opts = {
+    baseRepoName: 'foo/child',
+    childBranch: 'main',
+    headBranch: 'fix',
+    message: 'Fix typo',
+    newBranch: 'imports/foo/child/2',
+    parentBranch: 'master',
+  };
+
+  createBranch('foo/child', 'fix', 'origin/main');
+
+  const importedSha = commit('foo/child', 'fix', {'index.js': 'fixed\n'});
+
+  await expect(sync.import(opts)).resolves.toBe(true);
+  expect(
+    readFile('foo/parent', 'imports/foo/child/2', 'projects/child/index.js'),
+  ).toBe('fixed');
+
+  // changed in the parent pull request since it was imported
+  commit('foo/parent', 'imports/foo/child/2', {'README.md': 'edited\n'});
+  // changes the same line the first import did
+  commit('foo/child', 'fix', {'index.js': 'fixed again\n'});
+
+  await expect(sync.import({...opts, since: importedSha})).resolves.toBe(true);
+  expect(
+    readFile('foo/parent', 'imports/foo/child/2', 'projects/child/index.js'),
+  ).toBe('fixed again');
+  expect(readFile('foo/parent', 'imports/foo/child/2', 'README.md')).toBe(
+    'edited',
+  );
+
+  // nothing new to import
+  const headSha = git('foo/child', 'rev-parse', 'origin/fix');
+
+  await expect(sync.import({...opts, since: headSha})).resolves.toBe(false);
+
+  // rewritten since it was imported
+  git('foo/child', 'checkout', '-B', 'fix', 'origin/main');
+  git('foo/child', 'commit', '--allow-empty', '--message=Rewritten');
+  git('foo/child', 'push', '--force', 'origin', 'fix');
+
+  await expect(sync.import({...opts, since: headSha})).rejects.toEqual(
+    new USyncError(lang.error_importRewritten('fix')),
+  );
+});
@@ -0,0 +1,181 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  addComment,
+  addReaction,
+  createCheckRun,
+  updateCheckRun,
+  updateComment,
+} = require('./github.js');
+const lang = require('./lang.js');
+
+module.exports = class CommandStatus {
+  /**
+   * Reports a command's progress by reacting to the comment that
+   * triggered it and keeping a single status comment up to date,
+   * rather than posting a new comment for every step. Once the
+   * operation itself starts, it's also reported as a check run
+   *
+   * @param {{
+   *   commentId?: number,
+   *   log: import('probot').Application['log'],
+   *   number: number,
+   *   repoName: string,
+   *   statusCommentId?: number,
+   * }} opts
+   * @example
+   * const status = new CommandStatus({
+   *   commentId: payload.comment.id,
+   *   log: app.log,
+   *   number: 1,
+   *   repoName: 'org/monorepo',
+   * });
+   *
+   * await status.received();
+   * await status.startCheck('land', headSha);
+   * await status.update('Landing...');
+   * await status.succeed('Landed!');
+   */
+  constructor({commentId, log, number, repoName, statusCommentId}) {
+    this.commentId = commentId;
+    this.statusCommentId = statusCommentId;
+    this._log = log;
+    this._pullRequest = {number, repoName};
+    /** @type {{command: string, id: number} | void} */
+    this._checkRun = null;
+  }
+
+  /**
+   * Reactions are only a courtesy, so failing to add one
+   * shouldn't fail the command
+   *
+   * @param {string} content
+   * @returns {Promise<void>}
+   */
+  async _react(content) {
+    if (!this.commentId) return;
+
+    try {
+      await addReaction(this._pullRequest.repoName, this.commentId, content);
+    } catch (error) {
+      this._log.error(
+        error,
+        `failed to react to comment ${this.commentId} in ${this._pullRequest.repoName}`,
+      );
+    }
+  }
+
+  /**
+   * Like reactions, check runs are supplementary to the status
+   * comment, so failures are only logged
+   *
+   * @param {'failure' | 'success'} conclusion
+   * @param {string} [summary]
+   * @returns {Promise<void>}
+   */
+  async _completeCheck(conclusion, summary) {
+    if (!this._checkRun) return;
+
+    const {command, id} = this._checkRun;
+
+    this._checkRun = null;
+
+    try {
+      await updateCheckRun(this._pullRequest.repoName, id, {
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        output: {
+          title: lang.check_title(command, conclusion),
+          summary: summary || lang.check_title(command, conclusion),
+        },
+      });
+    } catch (error) {
+      this._log.error(
+        error,
+        `failed to complete check run ${id} in ${this._pullRequest.repoName}`,
+      );
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async received() {
+    await this._react('eyes');
+  }
+
+  /**
+   * Create an in-progress check run (e.g. `usync/land`) on the
+   * pull request's head commit, completed by `succeed` or `fail`
+   *
+   * @param {string} command
+   * @param {string} headSha
+   * @returns {Promise<void>}
+   */
+  async startCheck(command, headSha) {
+    const {repoName} = this._pullRequest;
+
+    try {
+      const res = await createCheckRun(repoName, {
+        name: `usync/${command}`,
+        head_sha: headSha,
+        status: 'in_progress',
+        started_at: new Date().toISOString(),
+      });
+
+      this._checkRun = {command, id: res.data.id};
+    } catch (error) {
+      this._log.error(
+        error,
+        `failed to create usync/${command} check run in ${repoName}`,
+      );
+    }
+  }
+
+  /**
+   * Post the status comment, or edit it if already posted
+   *
+   * @param {string} body
+   * @returns {Promise<void>}
+   */
+  async update(body) {
+    const {repoName} = this._pullRequest;
+
+    if (this.statusCommentId) {
+      await updateComment(repoName, this.statusCommentId, body);
+    } else {
+      const res = await addComment(this._pullRequest, body);
+
+      this.statusCommentId = res.data.id;
+    }
+  }
+
+  /**
+   * @param {string} [body] final status
+   * @returns {Promise<void>}
+   */
+  async succeed(body) {
+    await Promise.all([
+      body && this.update(body),
+      this._react('rocket'),
+      this._completeCheck('success', body),
+    ]);
+  }
+
+  /**
+   * @param {string} [body] reason for failing
+   * @returns {Promise<void>}
+   */
+  async fail(body) {
+    await Promise.all([
+      body && this.update(body),
+      this._react('confused'),
+      this._completeCheck('failure', body),
+    ]);
+  }
+};
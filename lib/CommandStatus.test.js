@@ -0,0 +1,115 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  addComment,
+  addReaction,
+  createCheckRun,
+  updateCheckRun,
+  updateComment,
+} = require('./github.js');
+const CommandStatus = require('./CommandStatus.js');
+
+jest.mock('./github.js', () => ({
+  addComment: jest.fn(async () => ({data: {id: 2}})),
+  addReaction: jest.fn(async () => {}),
+  createCheckRun: jest.fn(async () => ({data: {id: 5}})),
+  updateCheckRun: jest.fn(async () => {}),
+  updateComment: jest.fn(async () => {}),
+}));
+
+const log = {error: jest.fn()};
+
+afterEach(() => jest.clearAllMocks());
+
+test('Keeps a single status comment updated', async () => {
+  const status = new CommandStatus({
+    log,
+    commentId: 1,
+    number: 3,
+    repoName: 'org/monorepo',
+  });
+
+  await status.received();
+  await status.update('Landing...');
+  await status.succeed('Landed');
+
+  expect(addComment).toHaveBeenCalledTimes(1);
+  expect(addComment).toHaveBeenCalledWith(
+    {number: 3, repoName: 'org/monorepo'},
+    'Landing...',
+  );
+  expect(updateComment).toHaveBeenCalledWith('org/monorepo', 2, 'Landed');
+  expect(addReaction.mock.calls).toEqual([
+    ['org/monorepo', 1, 'eyes'],
+    ['org/monorepo', 1, 'rocket'],
+  ]);
+});
+
+test('Reuses an existing status comment', async () => {
+  const status = new CommandStatus({
+    log,
+    number: 3,
+    repoName: 'org/monorepo',
+    statusCommentId: 4,
+  });
+
+  await status.fail('Unable to land');
+
+  expect(addComment).not.toHaveBeenCalled();
+  expect(updateComment).toHaveBeenCalledWith(
+    'org/monorepo',
+    4,
+    'Unable to land',
+  );
+  // no triggering comment to react to
+  expect(addReaction).not.toHaveBeenCalled();
+});
+
+test('Reports the operation as a check run', async () => {
+  const status = new CommandStatus({log, number: 3, repoName: 'org/monorepo'});
+
+  await status.startCheck('land', 'abc123');
+  expect(createCheckRun).toHaveBeenCalledWith(
+    'org/monorepo',
+    expect.objectContaining({
+      head_sha: 'abc123',
+      name: 'usync/land',
+      status: 'in_progress',
+    }),
+  );
+
+  await status.fail('Push rejected');
+  expect(updateCheckRun).toHaveBeenCalledWith(
+    'org/monorepo',
+    5,
+    expect.objectContaining({
+      conclusion: 'failure',
+      output: {summary: 'Push rejected', title: 'Unable to land'},
+      status: 'completed',
+    }),
+  );
+
+  // only completed once
+  await status.fail();
+  expect(updateCheckRun).toHaveBeenCalledTimes(1);
+});
+
+test('Ignores reaction failures', async () => {
+  const status = new CommandStatus({
+    log,
+    commentId: 1,
+    number: 3,
+    repoName: 'org/monorepo',
+  });
+
+  addReaction.mockRejectedValueOnce(new Error('Forbidden'));
+  await expect(status.received()).resolves.toBeUndefined();
+  expect(log.error).toHaveBeenCalledWith(
+    expect.any(Error),
+    'failed to react to comment 1 in org/monorepo',
+  );
+});
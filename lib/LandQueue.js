@@ -0,0 +1,262 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {addComment, updateComment} = require('./github.js');
+const lang = require('./lang.js');
+const {readJSON, writeJSON} = require('./store.js');
+
+/**
+ * @typedef {{
+ *   actor: string,
+ *   reason: string,
+ * }} BreakglassType
+ *
+ * @typedef {{
+ *   breakglass?: BreakglassType,
+ *   commentId?: number,
+ *   lander: string,
+ *   number: number,
+ *   repoName: string,
+ *   statusCommentId?: number,
+ * }} QueueEntry
+ */
+
+module.exports = class LandQueue {
+  /**
+   * Lands pull requests one at a time per parent repo, in the order
+   * they were queued. The queue is persisted to `filepath` so it can
+   * be resumed after a restart
+   *
+   * @param {{
+   *   filepath: string,
+   *   land: (entry: QueueEntry) => Promise<*>,
+   *   log: import('probot').Application['log'],
+   * }} opts
+   * @example
+   * const queue = new LandQueue({
+   *   filepath: '/data/land-queue.json',
+   *   land: async entry => {
+   *     // land `entry.repoName#entry.number`
+   *   },
+   *   log: app.log,
+   * });
+   *
+   * await queue.resume();
+   * await queue.add({lander: 'foo', number: 1, repoName: 'org/monorepo'});
+   */
+  constructor({filepath, land, log}) {
+    this._filepath = filepath;
+    this._land = land;
+    this._log = log;
+    /** @type {Promise<Map<string, QueueEntry[]>>} */
+    this._queues = null;
+    this._processing = new Set();
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Map<string, QueueEntry[]>>}
+   */
+  _getQueues() {
+    if (!this._queues) {
+      this._queues = readJSON(this._filepath).then(
+        content => new Map(Object.entries(content || {})),
+      );
+    }
+
+    return this._queues;
+  }
+
+  /**
+   * @param {string} repoName
+   * @returns {Promise<QueueEntry[]>}
+   */
+  async _getQueue(repoName) {
+    const queues = await this._getQueues();
+
+    if (!queues.has(repoName)) {
+      queues.set(repoName, []);
+    }
+
+    return queues.get(repoName);
+  }
+
+  /**
+   * Writes are chained so they never overlap
+   *
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    const queues = await this._getQueues();
+
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() =>
+        writeJSON(
+          this._filepath,
+          [...queues].reduce((result, [repoName, entries]) => {
+            if (entries.length) result[repoName] = entries;
+            return result;
+          }, {}),
+        ),
+      );
+
+    return this._saving;
+  }
+
+  /**
+   * Post or update the position comment for every waiting entry.
+   * The landing entry's comment is left to `land` to update
+   *
+   * @param {string} repoName
+   * @returns {Promise<void>}
+   */
+  async _updateStatusComments(repoName) {
+    const queue = await this._getQueue(repoName);
+    let shouldSave = false;
+
+    await Promise.all(
+      queue.map(async (entry, i) => {
+        if (i === 0) return;
+
+        const body = lang.notify_queuePosition(i + 1, queue.length);
+
+        try {
+          if (entry.statusCommentId) {
+            await updateComment(repoName, entry.statusCommentId, body);
+          } else {
+            const res = await addComment(entry, body);
+
+            entry.statusCommentId = res.data.id;
+            shouldSave = true;
+          }
+        } catch (error) {
+          this._log.error(
+            error,
+            `failed to update land queue status for ${repoName}#${entry.number}`,
+          );
+        }
+      }),
+    );
+
+    if (shouldSave) {
+      await this._save();
+    }
+  }
+
+  /**
+   * @param {string} repoName
+   * @returns {Promise<void>}
+   */
+  async _process(repoName) {
+    if (this._processing.has(repoName)) return;
+    this._processing.add(repoName);
+
+    try {
+      const queue = await this._getQueue(repoName);
+
+      while (queue.length) {
+        const entry = queue[0];
+
+        await this._updateStatusComments(repoName);
+
+        try {
+          await this._land(entry);
+        } catch (error) {
+          this._log.error(error, `failed to land ${repoName}#${entry.number}`);
+        }
+
+        queue.shift();
+        await this._save();
+      }
+    } finally {
+      this._processing.delete(repoName);
+    }
+  }
+
+  /**
+   * Process the queue in the background, e.g. without waiting for
+   * the entry just added to land
+   *
+   * @param {string} repoName
+   * @returns {void}
+   */
+  _processLater(repoName) {
+    this._process(repoName).catch(error =>
+      this._log.error(error, `failed to process land queue for ${repoName}`),
+    );
+  }
+
+  /**
+   * Resume landing any entries persisted before a restart
+   *
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    const queues = await this._getQueues();
+
+    for (const repoName of queues.keys()) {
+      this._processLater(repoName);
+    }
+  }
+
+  /**
+   * @param {QueueEntry} entry
+   * @returns {Promise<number>} position in the queue (1 is landing)
+   */
+  async add(entry) {
+    const queue = await this._getQueue(entry.repoName);
+    let position =
+      queue.findIndex(queued => queued.number === entry.number) + 1;
+
+    if (!position) {
+      queue.push(entry);
+      position = queue.length;
+      await this._save();
+
+      if (position > 1) {
+        await this._updateStatusComments(entry.repoName);
+      }
+    }
+
+    this._processLater(entry.repoName);
+    return position;
+  }
+
+  /**
+   * Remove an entry that isn't currently landing
+   *
+   * @param {{number: number, repoName: string}} pullRequest
+   * @returns {Promise<boolean>} whether it was removed
+   */
+  async remove({number, repoName}) {
+    const queue = await this._getQueue(repoName);
+    const index = queue.findIndex(queued => queued.number === number);
+
+    if (index < 1) return false;
+
+    const [entry] = queue.splice(index, 1);
+
+    await this._save();
+    if (entry.statusCommentId) {
+      await updateComment(
+        repoName,
+        entry.statusCommentId,
+        lang.notify_dequeued(),
+      );
+    }
+    await this._updateStatusComments(repoName);
+    return true;
+  }
+
+  /**
+   * @param {string} repoName
+   * @returns {Promise<QueueEntry[]>} entries in landing order
+   */
+  async list(repoName) {
+    return [...(await this._getQueue(repoName))];
+  }
+};
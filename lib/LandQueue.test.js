@@ -0,0 +1,141 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LandQueue = require('./LandQueue.js');
+
+jest.mock('./github.js', () => ({
+  addComment: jest.fn(async () => ({data: {id: 1}})),
+  updateComment: jest.fn(async () => {}),
+}));
+
+function createFilepath() {
+  return path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'land-queue-')),
+    'queue.json',
+  );
+}
+
+function createLog() {
+  return {error: jest.fn()};
+}
+
+function createEntry(number) {
+  return {lander: 'test-user', number, repoName: 'org/monorepo'};
+}
+
+test('Lands entries one at a time in order', async () => {
+  const landed = [];
+  let landing = 0;
+  let maxLanding = 0;
+  let startLanding;
+  const canLand = new Promise(resolve => (startLanding = resolve));
+  const queue = new LandQueue({
+    filepath: createFilepath(),
+    log: createLog(),
+    land: async entry => {
+      maxLanding = Math.max(maxLanding, ++landing);
+      await canLand;
+      landed.push(entry.number);
+      landing--;
+    },
+  });
+
+  expect(await queue.add(createEntry(1))).toBe(1);
+  expect(await queue.add(createEntry(2))).toBe(2);
+  expect(await queue.add(createEntry(3))).toBe(3);
+  // already queued
+  expect(await queue.add(createEntry(2))).toBe(2);
+
+  startLanding();
+  while ((await queue.list('org/monorepo')).length) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  expect(landed).toEqual([1, 2, 3]);
+  expect(maxLanding).toBe(1);
+});
+
+test('Removes waiting entries', async () => {
+  let finishLanding;
+  const landed = [];
+  const queue = new LandQueue({
+    filepath: createFilepath(),
+    log: createLog(),
+    land: entry =>
+      new Promise(resolve => {
+        landed.push(entry.number);
+        finishLanding = resolve;
+      }),
+  });
+
+  await queue.add(createEntry(1));
+  await queue.add(createEntry(2));
+
+  // currently landing
+  expect(await queue.remove(createEntry(1))).toBe(false);
+  expect(await queue.remove(createEntry(2))).toBe(true);
+  expect(await queue.remove(createEntry(3))).toBe(false);
+  expect((await queue.list('org/monorepo')).map(e => e.number)).toEqual([1]);
+
+  finishLanding();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  expect(landed).toEqual([1]);
+});
+
+test('Resumes persisted entries', async () => {
+  const filepath = createFilepath();
+  const landed = [];
+  const firstQueue = new LandQueue({
+    filepath,
+    log: createLog(),
+    // never finishes, like a restart mid-land
+    land: () => new Promise(() => {}),
+  });
+
+  await firstQueue.add(createEntry(1));
+  await firstQueue.add(createEntry(2));
+
+  const secondQueue = new LandQueue({
+    filepath,
+    log: createLog(),
+    land: async entry => landed.push(entry.number),
+  });
+
+  await secondQueue.resume();
+  while ((await secondQueue.list('org/monorepo')).length) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  expect(landed).toEqual([1, 2]);
+});
+
+test('Logs failures to process the queue', async () => {
+  const filepath = createFilepath();
+  const log = createLog();
+  const queue = new LandQueue({
+    filepath,
+    log,
+    land: async () => {
+      // the queue can no longer be saved once landed
+      fs.unlinkSync(filepath);
+      fs.rmdirSync(path.dirname(filepath));
+      fs.writeFileSync(path.dirname(filepath), '');
+    },
+  });
+
+  await queue.add(createEntry(1));
+  while (!log.error.mock.calls.length) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  expect(log.error).toHaveBeenCalledWith(
+    expect.objectContaining({message: expect.any(String)}),
+    'failed to process land queue for org/monorepo',
+  );
+});
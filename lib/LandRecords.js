@@ -0,0 +1,52 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const PersistentMap = require('./PersistentMap.js');
+
+/**
+ * @typedef {{
+ *   branch: string,
+ *   fallbackPR?: {
+ *     number: number,
+ *     url: string,
+ *   },
+ *   revertSha?: string,
+ *   sha?: string,
+ *   status: 'failed' | 'landed' | 'reverted' | 'skipped',
+ * }} RepoOutcomeType
+ *
+ * @typedef {{
+ *   fallbackBranch: string,
+ *   parentBranch: string,
+ *   repos: Object<string, RepoOutcomeType>,
+ * }} LandRecordType
+ */
+
+/**
+ * Per-repo outcome of incomplete lands, persisted so they can be
+ * retried after a restart. Removed once the land completes or its
+ * pull request is closed
+ *
+ * @extends {PersistentMap<LandRecordType>}
+ */
+module.exports = class LandRecords extends PersistentMap {
+  /**
+   * @param {{number: number, repoName: string}} pullRequest
+   * @returns {Promise<LandRecordType | void>}
+   */
+  async get({number, repoName}) {
+    return super.get(`${repoName}#${number}`);
+  }
+
+  /**
+   * @param {{number: number, repoName: string}} pullRequest
+   * @param {LandRecordType | void} record nothing to remove it
+   * @returns {Promise<void>}
+   */
+  async set({number, repoName}, record) {
+    return super.set(`${repoName}#${number}`, record);
+  }
+};
@@ -31,7 +31,9 @@ module.exports = function OctokitAuthPlugin(octokit) {
 
 /**
  * if the request is tied to a repo, use a token from the app's
- * installation; otherwise fallback to the github user token (GH_TOKEN)
+ * installation; otherwise fallback to the github user token (GH_TOKEN).
+ * without app credentials (e.g. running the drift CLI locally),
+ * GH_TOKEN is used for everything
  *
  * @param {import('@octokit/rest').RequestOptions} endpoint
  * @return {string}
@@ -54,7 +56,7 @@ async function getAuthToken(endpoint) {
     }
   }
 
-  if (repoName) {
+  if (repoName && APP_ID) {
     return app.getInstallationAccessToken({
       installationId: await getRepoInstallID(repoName),
     });
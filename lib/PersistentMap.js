@@ -0,0 +1,80 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {readJSON, writeJSON} = require('./store.js');
+
+/**
+ * @template T
+ */
+module.exports = class PersistentMap {
+  /**
+   * String-keyed values persisted to `filepath` as JSON, so they
+   * survive a restart
+   *
+   * @param {{filepath: string}} opts
+   */
+  constructor({filepath}) {
+    this._filepath = filepath;
+    /** @type {Promise<Object<string, T>>} */
+    this._values = null;
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Object<string, T>>}
+   */
+  _getValues() {
+    if (!this._values) {
+      this._values = readJSON(this._filepath).then(content => content || {});
+    }
+
+    return this._values;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<T | void>}
+   */
+  async get(key) {
+    return (await this._getValues())[key];
+  }
+
+  /**
+   * @param {string} key
+   * @param {T | void} value nothing to remove it
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const values = await this._getValues();
+
+    if (value) {
+      values[key] = value;
+    } else {
+      delete values[key];
+    }
+
+    // chained so writes never overlap
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() => writeJSON(this._filepath, values));
+
+    return this._saving;
+  }
+
+  /**
+   * @returns {Promise<[string, T][]>}
+   */
+  async entries() {
+    return Object.entries(await this._getValues());
+  }
+
+  /**
+   * @returns {Promise<T[]>}
+   */
+  async values() {
+    return Object.values(await this._getValues());
+  }
+};
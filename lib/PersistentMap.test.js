@@ -0,0 +1,31 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersistentMap = require('./PersistentMap.js');
+
+test('Persists values across instances', async () => {
+  const filepath = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'persistent-map-')),
+    'map.json',
+  );
+  const map = new PersistentMap({filepath});
+
+  expect(await map.get('org/monorepo#1')).toBeUndefined();
+
+  await map.set('org/monorepo#1', {number: 1});
+  await map.set('org/monorepo#2', {number: 2});
+  await map.set('org/monorepo#1', undefined);
+
+  const restored = new PersistentMap({filepath});
+
+  expect(await restored.get('org/monorepo#1')).toBeUndefined();
+  expect(await restored.get('org/monorepo#2')).toEqual({number: 2});
+  expect(await restored.entries()).toEqual([['org/monorepo#2', {number: 2}]]);
+  expect(await restored.values()).toEqual([{number: 2}]);
+});
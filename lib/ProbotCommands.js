@@ -4,13 +4,80 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+const {
+  createOwnerMatcher,
+  getOwners,
+  loadCodeowners,
+} = require('./codeowners.js');
+const {getPullRequestFiles, isTeamMember} = require('./github.js');
+const {PERMISSION_LEVELS, resolvePermissionLevel} = require('./permissions.js');
+
 /**
  * @typedef {{
  *   github: *,
  *   payload: import('@octokit/webhooks').WebhookPayloadIssueComment,
  * }} ProbotContextType
+ *
+ * @typedef {{
+ *   args: string[],
+ *   command: string,
+ *   flags: Object<string, string | true>,
+ * }} CommandType
+ *
+ * @typedef {{
+ *   commands: string[],
+ *   denial: DenialType | void,
+ *   description: string,
+ *   isAvailable: boolean,
+ * }} CommandInfoType
+ *
+ * @typedef {{
+ *   codeowners?: boolean,
+ *   permission?: 'read' | 'triage' | 'write' | 'maintain' | 'admin',
+ *   teams?: string[],
+ * }} RequirementsType
+ *
+ * @typedef {{
+ *   permission: string,
+ *   reason: 'permission',
+ * } | {
+ *   reason: 'teams',
+ *   teams: string[],
+ * } | {
+ *   paths: string[],
+ *   reason: 'codeowners',
+ * }} DenialType
+ *
+ * @typedef {{
+ *   commands: string[],
+ *   description?: string,
+ *   handler: (context: ProbotContextType, command: CommandType) => Promise<*>,
+ *   isAvailable?: (context: ProbotContextType) => Promise<boolean>,
+ *   requirements: RequirementsType | ((context: ProbotContextType, command: CommandType) => Promise<RequirementsType>),
+ * }} ListenerType
  */
 
+/**
+ * @param {*} payload issue comment or pull request webhook payload
+ * @returns {number}
+ */
+function getNumber(payload) {
+  return (payload.issue || payload.pull_request).number;
+}
+
+/**
+ * Split on whitespace, keeping quoted strings together
+ * (e.g. `--as="foo bar"` or `"foo bar"`)
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tokenize(line) {
+  return (line.match(/(?:[^\s"']+|"[^"]*"|'[^']*'|["'])+/g) || []).map(token =>
+    token.replace(/"([^"]*)"|'([^']*)'/g, '$1$2'),
+  );
+}
+
 module.exports = class ProbotCommands {
   /**
    * Convenience listeners for pull request comment commands
@@ -27,13 +94,59 @@ module.exports = class ProbotCommands {
    *   })
    *
    *   // multiple commands in one listener
-   *   commands.on(['!close', '!c'], async (context, command) => {
+   *   commands.on(['!close', '!c'], async (context, {command}) => {
    *     // `command` is the command name that was used
    *   })
+   *
+   *   // arguments and flags, e.g. `!label foo --force --color=red`
+   *   commands.on('!label', async (context, {args, flags}) => {
+   *     // args: ['foo'], flags: {force: true, color: 'red'}
+   *   })
+   *
+   *   commands.on('!deploy', async context => {}, {
+   *     // listed in `commands.describe()`
+   *     description: 'Deploy this pull request',
+   *     // whether the command applies to the repo being commented on
+   *     isAvailable: async context => true,
+   *     // requirements for the commenter (default: `write` permission)
+   *     requirements: {
+   *       permission: 'admin',
+   *       // member of any of these teams
+   *       teams: ['org/deployers'],
+   *       // code owner of every file changed in the pull request
+   *       codeowners: true,
+   *     },
+   *   })
    * }
+   *
+   * // also trigger `!merge` via `/merge` or `@my-bot merge`
+   * const commands = new ProbotCommands(app, {
+   *   mentions: ['my-bot'],
+   *   prefixes: ['/'],
+   * })
+   *
+   * @param {{
+   *   mentions?: string[],
+   *   onDenied?: (context: ProbotContextType, command: CommandType, denial: DenialType) => Promise<*>,
+   *   onUnavailable?: (context: ProbotContextType, command: CommandType) => Promise<*>,
+   *   prefixes?: string[],
+   * }} [opts] `mentions` and `prefixes` are aliases for the
+   * `!` prefix that commands are registered with. `onUnavailable`
+   * is called instead of the handler of a command whose `isAvailable`
+   * is false for the repo
    */
-  constructor(probotApp) {
+  constructor(probotApp, opts = {}) {
     this._commands = new Map();
+    this._listeners = [];
+    this._mentions = (opts.mentions || []).map(
+      mention => `@${mention.replace(/^@/, '').toLowerCase()}`,
+    );
+    this._onDenied = opts.onDenied;
+    this._onUnavailable = opts.onUnavailable;
+    // sorted so e.g. `!!` is checked before `!`
+    this._prefixes = ['!', ...(opts.prefixes || [])].sort(
+      (a, b) => b.length - a.length,
+    );
 
     probotApp.on(
       ['issue_comment.created', 'issue_comment.edited'],
@@ -41,12 +154,72 @@ module.exports = class ProbotCommands {
     );
   }
 
+  /**
+   * Resolve a command alias (e.g. `/land` or `@bot land`) to
+   * the registered `!` command
+   *
+   * @param {string[]} tokens
+   * @returns {{command: string, tokens: string[]} | void}
+   */
+  _resolveCommand(tokens) {
+    let [name = '', ...rest] = tokens;
+
+    if (this._mentions.includes(name.toLowerCase())) {
+      [name = '', ...rest] = rest;
+
+      // prefix is optional after a mention
+      if (!this._prefixes.some(prefix => name.startsWith(prefix))) {
+        name = `!${name}`;
+      }
+    }
+
+    const prefix = this._prefixes.find(prefix => name.startsWith(prefix));
+    const command = prefix && `!${name.slice(prefix.length)}`;
+
+    if (this._commands.has(command)) {
+      return {command, tokens: rest};
+    }
+  }
+
+  /**
+   * Find the first line of the comment that starts with a
+   * registered command, ignoring quotes and code blocks
+   *
+   * @param {string} commentBody
+   * @returns {CommandType | void}
+   */
   _getCommentCommand(commentBody) {
-    commentBody = commentBody.replace(/\r\n|\r|\n/g, '').trim();
+    let isCodeBlock = false;
+
+    for (let line of commentBody.split(/\r\n|\r|\n/)) {
+      line = line.trim();
+
+      if (line.startsWith('```')) {
+        isCodeBlock = !isCodeBlock;
+        continue;
+      }
 
-    for (const [command] of this._commands) {
-      if (commentBody === command) {
-        return command;
+      if (isCodeBlock || line.startsWith('>')) continue;
+
+      const resolved = this._resolveCommand(tokenize(line));
+
+      if (resolved) {
+        const {command, tokens} = resolved;
+
+        return tokens.reduce(
+          (result, token) => {
+            const flag = /^--([^=]+)(?:=([\s\S]*))?$/.exec(token);
+
+            if (flag) {
+              result.flags[flag[1]] = flag[2] === undefined ? true : flag[2];
+            } else {
+              result.args.push(token);
+            }
+
+            return result;
+          },
+          {args: [], command, flags: {}},
+        );
       }
     }
   }
@@ -55,44 +228,185 @@ module.exports = class ProbotCommands {
    * @param {ProbotContextType} context
    */
   async _handleWebhooks(context) {
-    const {github} = context;
-    const {comment, issue, repository} = context.payload;
+    const {comment, issue} = context.payload;
     const {user} = comment;
 
     if (issue.pull_request && issue.state === 'open' && user.type === 'User') {
       const command = this._getCommentCommand(comment.body);
 
       if (command) {
-        const {
-          data: {permission: userPermission},
-        } = await github.request(
-          'GET /repos/:repoName/collaborators/:username/permission',
-          {
-            repoName: repository.full_name,
-            username: user.login,
-          },
+        const listener = this._commands.get(command.command);
+        const {handler, isAvailable} = listener;
+
+        if (isAvailable && !(await isAvailable(context))) {
+          return this._onUnavailable && this._onUnavailable(context, command);
+        }
+
+        const denial = await this._checkListenerRequirements(
+          context,
+          listener,
+          command,
         );
 
-        if (userPermission === 'admin' || userPermission === 'write') {
-          const handler = this._commands.get(command);
+        if (!denial) {
           return handler(context, command);
+        } else if (this._onDenied) {
+          return this._onDenied(context, command, denial);
         }
       }
     }
   }
 
+  /**
+   * @param {ProbotContextType} context
+   * @param {ListenerType} listener
+   * @param {CommandType} command
+   * @returns {Promise<DenialType | void>}
+   */
+  async _checkListenerRequirements(context, listener, command) {
+    const {requirements} = listener;
+
+    return this.checkRequirements(
+      context,
+      typeof requirements === 'function'
+        ? await requirements(context, command)
+        : requirements,
+    );
+  }
+
+  /**
+   * Check the commenter against `requirements`. Also accepts other
+   * pull request webhooks (e.g. `pull_request.labeled`), checking
+   * the user that triggered them instead
+   *
+   * @param {ProbotContextType} context
+   * @param {RequirementsType} requirements
+   * @returns {Promise<DenialType | void>}
+   */
+  async checkRequirements(context, requirements) {
+    const {github} = context;
+    const {comment, repository, sender} = context.payload;
+    const {login: username} = comment ? comment.user : sender;
+    const {codeowners, permission = 'write', teams} = requirements;
+    const {data} = await github.request(
+      'GET /repos/:repoName/collaborators/:username/permission',
+      {
+        repoName: repository.full_name,
+        username,
+      },
+    );
+
+    if (
+      PERMISSION_LEVELS.indexOf(resolvePermissionLevel(data)) <
+      PERMISSION_LEVELS.indexOf(permission)
+    ) {
+      return {permission, reason: 'permission'};
+    }
+
+    if (teams && teams.length) {
+      const memberships = await Promise.all(
+        teams.map(team => isTeamMember(team, username)),
+      );
+
+      if (!memberships.some(Boolean)) {
+        return {reason: 'teams', teams};
+      }
+    }
+
+    if (codeowners) {
+      const paths = await this._getUnownedPaths(context, username);
+
+      if (paths.length) {
+        return {paths, reason: 'codeowners'};
+      }
+    }
+  }
+
+  /**
+   * @param {ProbotContextType} context
+   * @param {string} username
+   * @returns {Promise<string[]>} files changed in the pull request
+   * that `username` isn't a code owner of
+   */
+  async _getUnownedPaths(context, username) {
+    const repoName = context.payload.repository.full_name;
+    const [rules, changedPaths] = await Promise.all([
+      loadCodeowners(repoName),
+      getPullRequestFiles({number: getNumber(context.payload), repoName}),
+    ]);
+    const isOwner = createOwnerMatcher([username]);
+    const unownedPaths = [];
+
+    for (const filepath of changedPaths) {
+      const ownerships = await Promise.all(
+        getOwners(rules, filepath).map(isOwner),
+      );
+
+      if (!ownerships.some(Boolean)) {
+        unownedPaths.push(filepath);
+      }
+    }
+
+    return unownedPaths;
+  }
+
+  /**
+   * Describe listeners that have a `description`, and whether the
+   * commenter of `context` could run them
+   *
+   * @param {ProbotContextType} context
+   * @returns {Promise<CommandInfoType[]>}
+   */
+  async describe(context) {
+    return Promise.all(
+      this._listeners
+        .filter(listener => listener.description)
+        .map(async listener => {
+          const {commands, description, isAvailable} = listener;
+          const command = {args: [], command: commands[0], flags: {}};
+          const [available, denial] = await Promise.all([
+            isAvailable ? isAvailable(context) : true,
+            this._checkListenerRequirements(context, listener, command),
+          ]);
+
+          return {
+            commands,
+            denial,
+            description,
+            isAvailable: Boolean(available),
+          };
+        }),
+    );
+  }
+
   /**
    * @param {string | Array<string>} commands
-   * @param {(context: ProbotContextType, command: string) => Promise<*>} handler
+   * @param {(context: ProbotContextType, command: CommandType) => Promise<*>} handler
+   * @param {{
+   *   description?: string,
+   *   isAvailable?: (context: ProbotContextType) => Promise<boolean>,
+   *   requirements?: RequirementsType | ((context: ProbotContextType, command: CommandType) => Promise<RequirementsType>),
+   * }} [opts] `requirements` for the commenter can also be a
+   * function that resolves them
    * @returns {void}
    */
-  on(commands, handler) {
+  on(commands, handler, opts = {}) {
     if (typeof commands === 'string') {
       commands = [commands];
     }
 
+    /** @type {ListenerType} */
+    const listener = {
+      commands,
+      description: opts.description,
+      handler,
+      isAvailable: opts.isAvailable,
+      requirements: opts.requirements || {},
+    };
+
+    this._listeners.push(listener);
     for (const command of commands) {
-      this._commands.set(command, handler);
+      this._commands.set(command, listener);
     }
   }
 };
@@ -15,6 +15,8 @@ const ProbotCommands = require('./ProbotCommands.js');
 
 nock.disableNetConnect();
 
+afterEach(() => nock.cleanAll());
+
 const fixtures = {
   comment: extend(true, {}, commentCreatedFixture, {
     comment: {
@@ -30,9 +32,23 @@ const fixtures = {
   permission: {
     admin: extend({}, permissionFixture, {
       permission: 'admin',
+      role_name: 'admin',
+    }),
+    maintain: extend({}, permissionFixture, {
+      permission: 'write',
+      role_name: 'maintain',
     }),
     read: extend({}, permissionFixture, {
       permission: 'read',
+      role_name: 'read',
+    }),
+    triage: extend({}, permissionFixture, {
+      permission: 'read',
+      role_name: 'triage',
+    }),
+    write: extend({}, permissionFixture, {
+      permission: 'write',
+      role_name: 'write',
     }),
   },
 };
@@ -119,7 +135,7 @@ test('Supports array of commands', async () => {
   let barTriggerCount = 0;
   const probot = createProbot(app => {
     const commands = new ProbotCommands(app);
-    commands.on(['!foo', '!bar'], async (_, command) =>
+    commands.on(['!foo', '!bar'], async (_, {command}) =>
       command === '!foo' ? fooTriggerCount++ : barTriggerCount++,
     );
   });
@@ -145,3 +161,281 @@ test('Supports array of commands', async () => {
   expect(fooTriggerCount).toBe(2);
   expect(barTriggerCount).toBe(1);
 });
+
+test('Parses command arguments and flags', async () => {
+  const received = [];
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app);
+    commands.on('!foo', async (_, command) => received.push(command));
+  });
+
+  async function triggerComment(body) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, fixtures.permission.admin);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: extend(true, {}, fixtures.comment, {
+        comment: {body},
+      }),
+    });
+  }
+
+  await triggerComment('!foo');
+  await triggerComment('!foo please');
+  await triggerComment(
+    'Looks good!\r\n\r\n  !foo bar "baz qux" --force --as=org/repo --note="it\'s done"\r\n',
+  );
+  // quoted and code block commands are ignored
+  await triggerComment('> !foo\n```\n!foo\n```\n!foo --after');
+  await triggerComment('> !foo\nfoo !foo');
+
+  expect(received).toEqual([
+    {args: [], command: '!foo', flags: {}},
+    {args: ['please'], command: '!foo', flags: {}},
+    {
+      args: ['bar', 'baz qux'],
+      command: '!foo',
+      flags: {as: 'org/repo', force: true, note: "it's done"},
+    },
+    {args: [], command: '!foo', flags: {after: true}},
+  ]);
+});
+
+test('Checks command requirements', async () => {
+  const triggered = [];
+  const denials = [];
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app, {
+      onDenied: async (_, {command}, denial) =>
+        denials.push({command, ...denial}),
+    });
+
+    commands.on('!foo', async () => triggered.push('!foo'), {
+      requirements: {permission: 'read'},
+    });
+    commands.on('!bar', async () => triggered.push('!bar'), {
+      requirements: {teams: ['org/bar-team']},
+    });
+    commands.on('!baz', async () => triggered.push('!baz'), {
+      requirements: async () => ({permission: 'admin'}),
+    });
+    commands.on('!qux', async () => triggered.push('!qux'), {
+      requirements: {permission: 'maintain'},
+    });
+    commands.on('!quux', async () => triggered.push('!quux'), {
+      requirements: {permission: 'triage'},
+    });
+  });
+
+  async function triggerCommand(command, permission) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, permission);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: extend(true, {}, fixtures.comment, {
+        comment: {body: command},
+      }),
+    });
+  }
+
+  await triggerCommand('!foo', fixtures.permission.read);
+  await triggerCommand('!baz', fixtures.permission.admin);
+  await triggerCommand('!baz', fixtures.permission.write);
+
+  nock('https://api.github.com')
+    .get('/orgs/org/teams/bar-team/memberships/test-user')
+    .reply(404, {});
+  await triggerCommand('!bar', fixtures.permission.admin);
+
+  nock('https://api.github.com')
+    .get('/orgs/org/teams/bar-team/memberships/test-user')
+    .reply(200, {state: 'active'});
+  await triggerCommand('!bar', fixtures.permission.write);
+
+  // default requirement is `write`
+  await triggerCommand('!bar', fixtures.permission.read);
+
+  // only `role_name` has maintain and triage
+  await triggerCommand('!qux', fixtures.permission.maintain);
+  await triggerCommand('!qux', fixtures.permission.write);
+  await triggerCommand('!quux', fixtures.permission.triage);
+  await triggerCommand('!quux', fixtures.permission.read);
+
+  expect(triggered).toEqual(['!foo', '!baz', '!bar', '!qux', '!quux']);
+  expect(denials).toEqual([
+    {command: '!baz', permission: 'admin', reason: 'permission'},
+    {command: '!bar', reason: 'teams', teams: ['org/bar-team']},
+    {command: '!bar', permission: 'write', reason: 'permission'},
+    {command: '!qux', permission: 'maintain', reason: 'permission'},
+    {command: '!quux', permission: 'triage', reason: 'permission'},
+  ]);
+});
+
+test('Checks code owners', async () => {
+  const triggered = [];
+  const denials = [];
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app, {
+      onDenied: async (_, {command}, denial) =>
+        denials.push({command, ...denial}),
+    });
+
+    commands.on('!foo', async () => triggered.push('!foo'), {
+      requirements: {codeowners: true},
+    });
+  });
+  const codeowners = '* @org/docs-team\nsrc/ @Test-User\nlib/ @other-user\n';
+
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/collaborators/test-user/permission')
+    .times(2)
+    .reply(200, fixtures.permission.write)
+    .get('/repos/org/test-repo/contents/.github/CODEOWNERS')
+    .reply(404, {})
+    .get('/repos/org/test-repo/contents/CODEOWNERS')
+    .times(2)
+    .reply(200, {content: Buffer.from(codeowners).toString('base64')})
+    .get(/^\/repos\/org\/test-repo\/pulls\/\d+\/files/)
+    .reply(200, [{filename: 'src/index.js'}, {filename: 'README.md'}])
+    .get(/^\/repos\/org\/test-repo\/pulls\/\d+\/files/)
+    .reply(200, [{filename: 'lib/index.js'}])
+    .get('/orgs/org/teams/docs-team/memberships/test-user')
+    .reply(200, {state: 'active'});
+
+  await probot.receive({name: 'issue_comment', payload: fixtures.comment});
+
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/contents/.github/CODEOWNERS')
+    .reply(404, {});
+  await probot.receive({name: 'issue_comment', payload: fixtures.comment});
+
+  expect(triggered).toEqual(['!foo']);
+  expect(denials).toEqual([
+    {command: '!foo', paths: ['lib/index.js'], reason: 'codeowners'},
+  ]);
+});
+
+test('Rejects commands unavailable in the repo', async () => {
+  const triggered = [];
+  const unavailable = [];
+  let isAvailable = false;
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app, {
+      onUnavailable: async (_, {command}) => unavailable.push(command),
+    });
+
+    commands.on('!foo', async () => triggered.push('!foo'), {
+      isAvailable: async () => isAvailable,
+    });
+  });
+
+  // requirements aren't checked
+  await probot.receive({name: 'issue_comment', payload: fixtures.comment});
+
+  isAvailable = true;
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/collaborators/test-user/permission')
+    .reply(200, fixtures.permission.write);
+  await probot.receive({name: 'issue_comment', payload: fixtures.comment});
+
+  expect(triggered).toEqual(['!foo']);
+  expect(unavailable).toEqual(['!foo']);
+});
+
+test('Supports prefix and mention aliases', async () => {
+  const received = [];
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app, {
+      mentions: ['test-bot'],
+      prefixes: ['/'],
+    });
+    commands.on('!foo', async (_, command) => received.push(command));
+  });
+
+  async function triggerComment(body) {
+    nock('https://api.github.com')
+      .get('/repos/org/test-repo/collaborators/test-user/permission')
+      .reply(200, fixtures.permission.admin);
+    await probot.receive({
+      name: 'issue_comment',
+      payload: extend(true, {}, fixtures.comment, {
+        comment: {body},
+      }),
+    });
+  }
+
+  await triggerComment('/foo --bar');
+  await triggerComment('@Test-Bot foo baz');
+  await triggerComment('@test-bot /foo');
+  // SHOULD NOT trigger
+  await triggerComment('@other-bot foo');
+  await triggerComment('#foo');
+
+  expect(received).toEqual([
+    {args: [], command: '!foo', flags: {bar: true}},
+    {args: ['baz'], command: '!foo', flags: {}},
+    {args: [], command: '!foo', flags: {}},
+  ]);
+});
+
+test('Describes commands', async () => {
+  let descriptions;
+  const probot = createProbot(app => {
+    const commands = new ProbotCommands(app);
+
+    commands.on(['!foo', '!f'], async () => {}, {
+      description: 'Does foo',
+      requirements: {permission: 'read'},
+    });
+    commands.on('!bar', async () => {}, {
+      description: 'Does bar',
+      isAvailable: async () => false,
+    });
+    // undocumented
+    commands.on('!baz', async () => {});
+    commands.on('!help', async context => {
+      descriptions = await commands.describe(context);
+    });
+  });
+
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/collaborators/test-user/permission')
+    .reply(200, fixtures.permission.read);
+  await probot.receive({
+    name: 'issue_comment',
+    payload: extend(true, {}, fixtures.comment, {
+      comment: {body: '!help'},
+    }),
+  });
+
+  // `!help` itself requires `write` by default
+  expect(descriptions).toBe(undefined);
+
+  nock('https://api.github.com')
+    .get('/repos/org/test-repo/collaborators/test-user/permission')
+    .times(3)
+    .reply(200, fixtures.permission.write);
+  await probot.receive({
+    name: 'issue_comment',
+    payload: extend(true, {}, fixtures.comment, {
+      comment: {body: '!help'},
+    }),
+  });
+
+  expect(descriptions).toEqual([
+    {
+      commands: ['!foo', '!f'],
+      denial: undefined,
+      description: 'Does foo',
+      isAvailable: true,
+    },
+    {
+      commands: ['!bar'],
+      denial: undefined,
+      description: 'Does bar',
+      isAvailable: false,
+    },
+  ]);
+});
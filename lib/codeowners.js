@@ -0,0 +1,113 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const ignore = require('ignore');
+const {getFileContent, isTeamMember} = require('./github.js');
+
+// locations GitHub reads CODEOWNERS from, in order of precedence
+const CODEOWNERS_PATHS = [
+  '.github/CODEOWNERS',
+  'CODEOWNERS',
+  'docs/CODEOWNERS',
+];
+
+/**
+ * @typedef {{
+ *   matcher: ReturnType<typeof ignore>,
+ *   owners: string[],
+ * }} CodeownersRule
+ */
+
+/**
+ * @param {string} content CODEOWNERS file content
+ * @returns {CodeownersRule[]}
+ */
+function parseCodeowners(content) {
+  return content
+    .split(/\r\n|\r|\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+
+      return {
+        // CODEOWNERS patterns follow .gitignore rules
+        matcher: ignore().add(pattern),
+        owners,
+      };
+    });
+}
+
+/**
+ * @param {CodeownersRule[]} rules
+ * @param {string} filepath
+ * @returns {string[]} owners from the last matching rule
+ * (e.g. `@user`, `@org/team` or `user@example.com`)
+ */
+function getOwners(rules, filepath) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].matcher.ignores(filepath)) {
+      return rules[i].owners;
+    }
+  }
+
+  return [];
+}
+
+/**
+ * @param {string} repoName
+ * @returns {Promise<CodeownersRule[]>} rules from the first CODEOWNERS
+ * file found, or none
+ */
+async function loadCodeowners(repoName) {
+  for (const filepath of CODEOWNERS_PATHS) {
+    try {
+      return parseCodeowners((await getFileContent(repoName, filepath)) || '');
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  return [];
+}
+
+/**
+ * @param {string[]} usernames
+ * @returns {(owner: string) => Promise<boolean>} whether an owner is
+ * one of `usernames`, or a team one of them is a member of. Team
+ * memberships are only looked up once
+ */
+function createOwnerMatcher(usernames) {
+  const teamMemberships = new Map();
+
+  return async owner => {
+    owner = owner.toLowerCase();
+
+    // `@org/team`
+    if (owner.includes('/')) {
+      if (!teamMemberships.has(owner)) {
+        teamMemberships.set(
+          owner,
+          Promise.all(
+            usernames.map(username => isTeamMember(owner, username)),
+          ).then(results => results.some(Boolean)),
+        );
+      }
+
+      return teamMemberships.get(owner);
+    }
+
+    return usernames.some(username => `@${username.toLowerCase()}` === owner);
+  };
+}
+
+module.exports = {
+  CODEOWNERS_PATHS,
+  createOwnerMatcher,
+  getOwners,
+  loadCodeowners,
+  parseCodeowners,
+};
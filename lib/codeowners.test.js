@@ -0,0 +1,34 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getOwners, parseCodeowners} = require('./codeowners.js');
+
+test('getOwners', () => {
+  const rules = parseCodeowners(
+    [
+      '# default owners',
+      '*       @org/everyone',
+      '',
+      '/projects/foo/   @foo-owner @org/foo-team # inline comment',
+      '*.md    docs@example.com',
+      '/projects/foo/generated/',
+    ].join('\n'),
+  );
+
+  expect(getOwners(rules, 'index.js')).toEqual(['@org/everyone']);
+  expect(getOwners(rules, 'projects/foo/index.js')).toEqual([
+    '@foo-owner',
+    '@org/foo-team',
+  ]);
+  expect(getOwners(rules, 'projects/bar/foo/index.js')).toEqual([
+    '@org/everyone',
+  ]);
+  expect(getOwners(rules, 'projects/foo/README.md')).toEqual([
+    'docs@example.com',
+  ]);
+  expect(getOwners(rules, 'projects/foo/generated/index.js')).toEqual([]);
+  expect(getOwners(parseCodeowners(''), 'index.js')).toEqual([]);
+});
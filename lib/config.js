@@ -0,0 +1,471 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const yaml = require('js-yaml');
+const {getFileContent} = require('./github.js');
+const {PERMISSION_LEVELS} = require('./permissions.js');
+
+const CONFIG_PATH = '.github/usync.yml';
+const CONFIG_VERSION = 1;
+// settings limited to a set of values, by `group.key`
+const SETTING_CHOICES = {
+  'pushes.action': ['alert', 'ignore', 'import'],
+  'release.mergeMethod': ['merge', 'rebase', 'squash'],
+};
+
+/**
+ * @typedef {{
+ *   version: number,
+ *   defaultBranch: string,
+ *   breakglass: {
+ *     teams: string[],
+ *   },
+ *   branches: Object<string, {
+ *     default: string,
+ *   } & Object<string, string>>,
+ *   branchPrefixes: {
+ *     import: string,
+ *     land: string,
+ *     mirror: string,
+ *     push: string,
+ *   },
+ *   import: {
+ *     autoReimport: boolean,
+ *   },
+ *   labels: {
+ *     autoLand: string,
+ *     breakglass: string,
+ *     drift: string,
+ *     landed: string,
+ *   },
+ *   land: {
+ *     revertOnFailure: boolean,
+ *   },
+ *   mirror: {
+ *     enabled: boolean,
+ *   },
+ *   permissions: Object<string, import('./ProbotCommands.js').RequirementsType>,
+ *   pushes: {
+ *     action: 'alert' | 'ignore' | 'import',
+ *   },
+ *   release: {
+ *     branchPrefix: string,
+ *     commitMessage: string,
+ *     commitTitle: string,
+ *     label: string,
+ *     mergeMethod: 'merge' | 'rebase' | 'squash',
+ *     syncTags: boolean,
+ *     tagFormat: string,
+ *   },
+ *   requiredChecks: Object<string, string[]>,
+ *   reviews: {
+ *     approvals: number,
+ *     blockChangesRequested: boolean,
+ *     codeowners: boolean,
+ *     requireLatestCommit: boolean,
+ *   },
+ * }} ConfigType
+ */
+
+/**
+ * @type {ConfigType}
+ */
+const DEFAULT_CONFIG = {
+  version: CONFIG_VERSION,
+  defaultBranch: 'master',
+  breakglass: {
+    // teams allowed to use `!land --breakglass`; repo admins if empty
+    teams: [],
+  },
+  // parent branch -> child branch; defaults to `defaultBranch`
+  // syncing with the same branch name in every child repo
+  branches: {},
+  branchPrefixes: {
+    import: 'imports/',
+    land: 'land/',
+    mirror: 'mirrors/',
+    push: 'pushes/',
+  },
+  import: {
+    // re-import when new commits are pushed to an imported pull
+    // request's head branch, which is kept instead of deleted
+    autoReimport: false,
+  },
+  labels: {
+    autoLand: 'auto-land',
+    breakglass: 'breakglass',
+    drift: 'drift',
+    landed: 'Landed',
+  },
+  land: {
+    // revert repos that were landed to if others couldn't be
+    revertOnFailure: false,
+  },
+  mirror: {
+    // open a read-only pull request in each child repo affected by
+    // a parent pull request, so child CI runs against its changes
+    enabled: false,
+  },
+  // command name (e.g. `land`) -> requirements for the commenter
+  permissions: {},
+  pushes: {
+    // what to do when commits that didn't come from a land are
+    // pushed to a synced child branch: open an issue in the parent
+    // repo, open a pull request importing them, or nothing
+    action: 'alert',
+  },
+  release: {
+    // pull requests from branches starting with this, or with
+    // `label`, are releases
+    branchPrefix: 'releases/',
+    // `{number}`, `{title}` and `{url}` are replaced with the
+    // release pull request's
+    commitMessage: '{url}',
+    commitTitle: '{title} (#{number})',
+    label: 'release',
+    mergeMethod: 'squash',
+    // tag and create a GitHub Release in each child repo whose
+    // package version the release changed
+    syncTags: true,
+    // `{version}` is replaced with the child package's version
+    tagFormat: 'v{version}',
+  },
+  // repo name -> check run or status names that must pass on the
+  // parent pull request before landing changes synced to that repo
+  requiredChecks: {},
+  // checked for whoever runs `!land`
+  reviews: {
+    approvals: 1,
+    // no reviewer's latest review can be requesting changes
+    blockChangesRequested: false,
+    // each synced directory needs approval from its code owners
+    codeowners: false,
+    // only approvals of the latest commit count
+    requireLatestCommit: false,
+  },
+};
+
+// user-facing errors for an invalid `.github/usync.yml`
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems
+   */
+  constructor(problems) {
+    super(`Invalid \`${CONFIG_PATH}\`:\n${problems.join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ConfigError);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTeamList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every(team => /^@?[^/\s]+\/[^/\s]+$/.test(team))
+  );
+}
+
+/**
+ * @param {*} config parsed yaml
+ * @returns {string[]} problems, empty if valid
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    return ['Config must be a mapping of settings'];
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      problems.push(`Unknown setting \`${key}\``);
+    }
+  }
+
+  if ('version' in config && config.version !== CONFIG_VERSION) {
+    problems.push(`\`version\` must be \`${CONFIG_VERSION}\``);
+  }
+
+  if (
+    'defaultBranch' in config &&
+    (typeof config.defaultBranch !== 'string' || !config.defaultBranch)
+  ) {
+    problems.push('`defaultBranch` must be a non-empty string');
+  }
+
+  if ('branches' in config) {
+    if (!isPlainObject(config.branches)) {
+      problems.push('`branches` must be a mapping');
+    } else {
+      for (const [parentBranch, value] of Object.entries(config.branches)) {
+        const isValid = isPlainObject(value)
+          ? Object.values(value).every(
+              childBranch => typeof childBranch === 'string' && childBranch,
+            )
+          : typeof value === 'string' && value;
+
+        if (!isValid) {
+          problems.push(
+            `\`branches.${parentBranch}\` must be a branch name or a mapping of repo names to branch names`,
+          );
+        }
+      }
+    }
+  }
+
+  if ('permissions' in config) {
+    if (!isPlainObject(config.permissions)) {
+      problems.push('`permissions` must be a mapping');
+    } else {
+      for (const [command, value] of Object.entries(config.permissions)) {
+        const key = `permissions.${command}`;
+
+        if (!isPlainObject(value)) {
+          problems.push(`\`${key}\` must be a mapping`);
+          continue;
+        }
+
+        for (const setting of Object.keys(value)) {
+          if (!['codeowners', 'permission', 'teams'].includes(setting)) {
+            problems.push(`Unknown setting \`${key}.${setting}\``);
+          }
+        }
+
+        if (
+          'permission' in value &&
+          !PERMISSION_LEVELS.slice(1).includes(value.permission)
+        ) {
+          problems.push(
+            `\`${key}.permission\` must be one of: ${PERMISSION_LEVELS.slice(
+              1,
+            ).join(', ')}`,
+          );
+        }
+
+        if ('teams' in value && !isTeamList(value.teams)) {
+          problems.push(
+            `\`${key}.teams\` must be a list of teams (e.g. \`org/team-slug\`)`,
+          );
+        }
+
+        if ('codeowners' in value && typeof value.codeowners !== 'boolean') {
+          problems.push(`\`${key}.codeowners\` must be \`true\` or \`false\``);
+        }
+      }
+    }
+  }
+
+  if ('requiredChecks' in config) {
+    if (!isPlainObject(config.requiredChecks)) {
+      problems.push('`requiredChecks` must be a mapping');
+    } else {
+      for (const [repoName, value] of Object.entries(config.requiredChecks)) {
+        if (
+          !Array.isArray(value) ||
+          !value.every(name => typeof name === 'string' && name)
+        ) {
+          problems.push(
+            `\`requiredChecks.${repoName}\` must be a list of check names`,
+          );
+        }
+      }
+    }
+  }
+
+  // nested groups of settings, typed by their defaults
+  for (const group of [
+    'branchPrefixes',
+    'breakglass',
+    'import',
+    'labels',
+    'land',
+    'mirror',
+    'pushes',
+    'release',
+    'reviews',
+  ]) {
+    if (!(group in config)) continue;
+
+    if (!isPlainObject(config[group])) {
+      problems.push(`\`${group}\` must be a mapping`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(config[group])) {
+      const defaultValue = DEFAULT_CONFIG[group][key];
+
+      if (!(key in DEFAULT_CONFIG[group])) {
+        problems.push(`Unknown setting \`${group}.${key}\``);
+      } else if (SETTING_CHOICES[`${group}.${key}`]) {
+        const choices = SETTING_CHOICES[`${group}.${key}`];
+
+        if (!choices.includes(value)) {
+          problems.push(
+            `\`${group}.${key}\` must be one of: ${choices.join(', ')}`,
+          );
+        }
+      } else if (Array.isArray(defaultValue)) {
+        if (!isTeamList(value)) {
+          problems.push(
+            `\`${group}.${key}\` must be a list of teams (e.g. \`org/team-slug\`)`,
+          );
+        }
+      } else if (typeof defaultValue === 'boolean') {
+        if (typeof value !== 'boolean') {
+          problems.push(`\`${group}.${key}\` must be \`true\` or \`false\``);
+        }
+      } else if (typeof defaultValue === 'number') {
+        if (!Number.isInteger(value) || value < 0) {
+          problems.push(
+            `\`${group}.${key}\` must be a non-negative whole number`,
+          );
+        }
+      } else if (typeof value !== 'string' || !value) {
+        problems.push(`\`${group}.${key}\` must be a non-empty string`);
+      }
+    }
+  }
+
+  if (!problems.length) {
+    const prefixes = Object.entries(resolveConfig(config).branchPrefixes);
+
+    prefixes.forEach(([key, prefix], index) => {
+      for (const [otherKey, otherPrefix] of prefixes.slice(index + 1)) {
+        if (prefix === otherPrefix) {
+          problems.push(
+            `\`branchPrefixes.${key}\` and \`branchPrefixes.${otherKey}\` must be different`,
+          );
+        }
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Fill in defaults for any settings missing from `config`
+ *
+ * @param {object} config validated config
+ * @returns {ConfigType}
+ */
+function resolveConfig(config) {
+  return Object.entries(DEFAULT_CONFIG).reduce((result, [key, value]) => {
+    if (isPlainObject(value)) {
+      result[key] = {...value, ...config[key]};
+    } else {
+      result[key] = key in config ? config[key] : value;
+    }
+
+    return result;
+  }, {});
+}
+
+/**
+ * Expand `branches` shorthand so each parent branch maps to
+ * `{default: string, [repoName]: string}`
+ *
+ * @param {ConfigType} config resolved config
+ * @returns {ConfigType}
+ */
+function resolveBranches(config) {
+  const {branches, defaultBranch} = config;
+
+  if (!Object.keys(branches).length) {
+    branches[defaultBranch] = defaultBranch;
+  }
+
+  for (const [parentBranch, value] of Object.entries(branches)) {
+    branches[parentBranch] =
+      typeof value === 'string'
+        ? {default: value}
+        : {default: parentBranch, ...value};
+  }
+
+  return config;
+}
+
+/**
+ * @param {ConfigType} config
+ * @param {string} parentBranch
+ * @param {string} repoName child repo
+ * @returns {string | void} branch in `repoName` that syncs with `parentBranch`
+ */
+function getChildBranch(config, parentBranch, repoName) {
+  const mapping = config.branches[parentBranch];
+
+  if (mapping) {
+    return mapping[repoName] || mapping.default;
+  }
+}
+
+/**
+ * @param {ConfigType} config
+ * @param {string} repoName child repo
+ * @param {string} childBranch
+ * @returns {string | void} parent branch that syncs with `childBranch`
+ */
+function getParentBranch(config, repoName, childBranch) {
+  return Object.keys(config.branches).find(
+    parentBranch =>
+      getChildBranch(config, parentBranch, repoName) === childBranch,
+  );
+}
+
+/**
+ * Read and validate `.github/usync.yml` from the parent repo.
+ * Falls back to defaults if the file doesn't exist
+ *
+ * @param {string} repoName parent repo
+ * @returns {Promise<ConfigType>}
+ */
+async function loadConfig(repoName) {
+  let content;
+  let config;
+
+  try {
+    content = await getFileContent(repoName, CONFIG_PATH);
+  } catch (error) {
+    if (error.status === 404) {
+      return resolveBranches(resolveConfig({}));
+    }
+
+    throw error;
+  }
+
+  try {
+    config = yaml.safeLoad(content || '') || {};
+  } catch (error) {
+    throw new ConfigError([`Unable to parse yaml: ${error.message}`]);
+  }
+
+  const problems = validateConfig(config);
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  return resolveBranches(resolveConfig(config));
+}
+
+module.exports = {
+  CONFIG_PATH,
+  ConfigError,
+  DEFAULT_CONFIG,
+  getChildBranch,
+  getParentBranch,
+  loadConfig,
+  resolveBranches,
+  resolveConfig,
+  validateConfig,
+};
@@ -0,0 +1,145 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  DEFAULT_CONFIG,
+  getChildBranch,
+  getParentBranch,
+  resolveBranches,
+  resolveConfig,
+  validateConfig,
+} = require('./config.js');
+
+test('validateConfig', () => {
+  expect(validateConfig({})).toEqual([]);
+  expect(
+    validateConfig({
+      version: 1,
+      defaultBranch: 'main',
+      branchPrefixes: {import: 'usync/imports/'},
+      labels: {landed: 'landed'},
+      release: {label: 'release-train', mergeMethod: 'merge'},
+    }),
+  ).toEqual([]);
+
+  expect(validateConfig(null)).toEqual([
+    'Config must be a mapping of settings',
+  ]);
+  expect(validateConfig({foo: true, version: 2})).toEqual([
+    'Unknown setting `foo`',
+    '`version` must be `1`',
+  ]);
+  expect(
+    validateConfig({
+      defaultBranch: '',
+      branchPrefixes: {import: 5},
+      import: {autoReimport: 'yes'},
+      labels: ['Landed'],
+      release: {mergeMethod: 'fast-forward', titlePrefix: 'Release '},
+    }),
+  ).toEqual([
+    '`defaultBranch` must be a non-empty string',
+    '`branchPrefixes.import` must be a non-empty string',
+    '`import.autoReimport` must be `true` or `false`',
+    '`labels` must be a mapping',
+    '`release.mergeMethod` must be one of: merge, rebase, squash',
+    'Unknown setting `release.titlePrefix`',
+  ]);
+  expect(
+    validateConfig({
+      branches: {
+        master: {'foo/child': 'main'},
+        'release/1.x': 'release/1.x',
+        next: ['next'],
+      },
+    }),
+  ).toEqual([
+    '`branches.next` must be a branch name or a mapping of repo names to branch names',
+  ]);
+  expect(
+    validateConfig({
+      permissions: {
+        land: {permission: 'admin', teams: ['org/landers'], codeowners: true},
+        import: {permission: 'none', teams: 'org/importers'},
+        queue: {codeowners: 'yes', team: []},
+        preview: 'read',
+      },
+    }),
+  ).toEqual([
+    '`permissions.import.permission` must be one of: read, triage, write, maintain, admin',
+    '`permissions.import.teams` must be a list of teams (e.g. `org/team-slug`)',
+    'Unknown setting `permissions.queue.team`',
+    '`permissions.queue.codeowners` must be `true` or `false`',
+    '`permissions.preview` must be a mapping',
+  ]);
+  expect(
+    validateConfig({land: {revertOnFailure: 'yes', atomic: true}}),
+  ).toEqual([
+    '`land.revertOnFailure` must be `true` or `false`',
+    'Unknown setting `land.atomic`',
+  ]);
+  expect(validateConfig({reviews: {approvals: -1, codeowners: true}})).toEqual([
+    '`reviews.approvals` must be a non-negative whole number',
+  ]);
+  expect(validateConfig({breakglass: {teams: 'org/admins'}})).toEqual([
+    '`breakglass.teams` must be a list of teams (e.g. `org/team-slug`)',
+  ]);
+  expect(
+    validateConfig({
+      requiredChecks: {'foo/parent': ['build'], 'foo/child': 'test'},
+    }),
+  ).toEqual(['`requiredChecks.foo/child` must be a list of check names']);
+  expect(validateConfig({branchPrefixes: {import: 'land/'}})).toEqual([
+    '`branchPrefixes.import` and `branchPrefixes.land` must be different',
+  ]);
+  expect(validateConfig({branchPrefixes: {mirror: 'land/'}})).toEqual([
+    '`branchPrefixes.land` and `branchPrefixes.mirror` must be different',
+  ]);
+});
+
+test('resolveConfig', () => {
+  expect(resolveConfig({})).toEqual(DEFAULT_CONFIG);
+  expect(
+    resolveConfig({
+      defaultBranch: 'main',
+      labels: {landed: 'landed'},
+    }),
+  ).toEqual({
+    ...DEFAULT_CONFIG,
+    defaultBranch: 'main',
+    labels: {
+      autoLand: 'auto-land',
+      breakglass: 'breakglass',
+      drift: 'drift',
+      landed: 'landed',
+    },
+  });
+});
+
+test('branch mapping', () => {
+  const defaultConfig = resolveBranches(resolveConfig({}));
+  const config = resolveBranches(
+    resolveConfig({
+      branches: {
+        master: {'foo/child': 'main'},
+        'release/1.x': 'release/1.x',
+      },
+    }),
+  );
+
+  expect(defaultConfig.branches).toEqual({master: {default: 'master'}});
+  expect(getChildBranch(defaultConfig, 'master', 'foo/child')).toBe('master');
+  expect(getChildBranch(defaultConfig, 'main', 'foo/child')).toBe(undefined);
+
+  expect(getChildBranch(config, 'master', 'foo/child')).toBe('main');
+  expect(getChildBranch(config, 'master', 'foo/other')).toBe('master');
+  expect(getChildBranch(config, 'release/1.x', 'foo/child')).toBe(
+    'release/1.x',
+  );
+  expect(getParentBranch(config, 'foo/child', 'main')).toBe('master');
+  expect(getParentBranch(config, 'foo/child', 'master')).toBe(undefined);
+  expect(getParentBranch(config, 'foo/other', 'master')).toBe('master');
+});
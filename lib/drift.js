@@ -0,0 +1,214 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {USyncError} = require('usyncit');
+const {getChildBranch, loadConfig} = require('./config.js');
+const {
+  addComment,
+  createIssue,
+  getTreeBlobs,
+  hasBranch,
+  isAppInstalled,
+  listOpenIssues,
+  updateIssue,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {getChildPath} = require('./preflight.js');
+const {getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {{
+ *   reason: 'notInstalled',
+ *   repoName: string,
+ * } | {
+ *   reason: 'missingBranch',
+ *   branch: string,
+ *   repoName: string,
+ * } | {
+ *   reason: 'drifted',
+ *   branch: string,
+ *   changed: string[],
+ *   missing: string[],
+ *   repoName: string,
+ * }} DriftType paths are in the child repo
+ *
+ * @typedef {Object<string, DriftType[]>} DriftReportType parent
+ * branch -> its drifted child repos
+ */
+
+/**
+ * Compare every file synced from the parent repo with the child
+ * repo's copy. Files that only exist in the child repo aren't
+ * synced, so they're ignored
+ *
+ * @param {Object<string, string>} paths `.usyncrc.json` mapping of
+ * parent paths to child paths for a single child repo
+ * @param {Object<string, string>} parentBlobs parent file paths to
+ * blob SHAs
+ * @param {Object<string, string>} childBlobs child file paths to
+ * blob SHAs
+ * @returns {{changed: string[], missing: string[]}}
+ */
+function getDriftedPaths(paths, parentBlobs, childBlobs) {
+  const changed = [];
+  const missing = [];
+
+  for (const [filepath, sha] of Object.entries(parentBlobs)) {
+    const childPath = getChildPath(paths, filepath);
+
+    if (childPath === undefined) continue;
+
+    if (!(childPath in childBlobs)) {
+      missing.push(childPath);
+    } else if (childBlobs[childPath] !== sha) {
+      changed.push(childPath);
+    }
+  }
+
+  return {changed: changed.sort(), missing: missing.sort()};
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} ref
+ * @param {string[]} dirs synced directories
+ * @returns {Promise<Object<string, string>>} file paths in `dirs`
+ * to blob SHAs
+ */
+async function getSyncedBlobs(repoName, ref, dirs) {
+  const result = {};
+
+  for (const dir of new Set(dirs.map(dir => dir.replace(/^\/|\/$/g, '')))) {
+    try {
+      Object.assign(result, await getTreeBlobs(repoName, ref, dir));
+    } catch (error) {
+      if (!error.truncated) throw error;
+      throw new USyncError(lang.error_driftTreeTooLarge(repoName, dir));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {string} parentRepoName
+ * @param {{
+ *   config: ConfigType,
+ *   parentBranch: string,
+ * }} opts
+ * @returns {Promise<DriftType[]>} empty if every child repo matches
+ */
+async function getDrift(parentRepoName, {config, parentBranch}) {
+  const mapping = await getSyncMapping({
+    headRefName: parentBranch,
+    headRepository: {nameWithOwner: parentRepoName},
+  });
+  const drifts = await Promise.all(
+    Object.entries(mapping).map(async ([repoName, paths]) => {
+      if (!(await isAppInstalled(repoName))) {
+        return {reason: 'notInstalled', repoName};
+      }
+
+      const branch = getChildBranch(config, parentBranch, repoName);
+
+      if (!(await hasBranch(repoName, branch))) {
+        return {reason: 'missingBranch', branch, repoName};
+      }
+
+      // only the synced directories, since the parent repo's whole
+      // tree can be too large for GitHub to list
+      const [parentBlobs, childBlobs] = await Promise.all([
+        getSyncedBlobs(parentRepoName, parentBranch, Object.keys(paths)),
+        getSyncedBlobs(repoName, branch, Object.values(paths)),
+      ]);
+      const {changed, missing} = getDriftedPaths(
+        paths,
+        parentBlobs,
+        childBlobs,
+      );
+
+      if (changed.length || missing.length) {
+        return {reason: 'drifted', branch, changed, missing, repoName};
+      }
+    }),
+  );
+
+  return drifts.filter(Boolean);
+}
+
+/**
+ * Check every mapped parent branch that exists
+ *
+ * @param {string} parentRepoName
+ * @param {ConfigType} [config] loaded if not provided
+ * @returns {Promise<DriftReportType>}
+ */
+async function getDriftReport(parentRepoName, config) {
+  const resolvedConfig = config || (await loadConfig(parentRepoName));
+  const report = {};
+
+  for (const parentBranch of Object.keys(resolvedConfig.branches)) {
+    if (await hasBranch(parentRepoName, parentBranch)) {
+      report[parentBranch] = await getDrift(parentRepoName, {
+        config: resolvedConfig,
+        parentBranch,
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * @param {DriftReportType} report
+ * @returns {boolean}
+ */
+function hasDrift(report) {
+  return Object.values(report).some(drifts => drifts.length > 0);
+}
+
+/**
+ * Keep a single open issue in the parent repo, labeled
+ * `labels.drift`, describing the latest report. It's closed once
+ * nothing has drifted
+ *
+ * @param {string} parentRepoName
+ * @param {DriftReportType} report
+ * @param {ConfigType} config
+ * @returns {Promise<void>}
+ */
+async function updateDriftIssue(parentRepoName, report, config) {
+  const title = lang.issueTitle_drift();
+  const openIssues = await listOpenIssues(parentRepoName, config.labels.drift);
+  const issue = openIssues.find(openIssue => openIssue.title === title);
+
+  if (hasDrift(report)) {
+    const body = lang.notify_drift(report);
+
+    if (issue) {
+      await updateIssue(issue, {body});
+    } else {
+      await createIssue(parentRepoName, {
+        body,
+        labels: [config.labels.drift],
+        title,
+      });
+    }
+  } else if (issue) {
+    await addComment(issue, lang.notify_drift(report));
+    await updateIssue(issue, {state: 'closed'});
+  }
+}
+
+module.exports = {
+  getDrift,
+  getDriftedPaths,
+  getDriftReport,
+  hasDrift,
+  updateDriftIssue,
+};
@@ -0,0 +1,112 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {USyncError} = require('usyncit');
+const {resolveBranches, resolveConfig} = require('./config.js');
+const {getDrift, getDriftedPaths, hasDrift} = require('./drift.js');
+const github = require('./github.js');
+const lang = require('./lang.js');
+
+// blob SHAs by repo and filepath
+const mockTrees = {
+  'foo/parent': {
+    'projects/child/index.js': 'a',
+    'projects/child/docs/README.md': 'b',
+    'projects/other/index.js': 'c',
+    'README.md': 'd',
+  },
+  'foo/child': {
+    '.travis.yml': 'e',
+    'docs/README.md': 'b',
+    'index.js': 'a',
+  },
+  'foo/other': {},
+};
+
+jest.mock('./github.js', () => ({
+  getFileContent: jest.fn(async () =>
+    JSON.stringify({
+      mapping: {
+        'foo/child': {'projects/child': ''},
+        'foo/missing': {'projects/missing': ''},
+        'foo/other': {'projects/other': ''},
+      },
+    }),
+  ),
+  getTreeBlobs: jest.fn(async (repoName, ref, dir) =>
+    Object.keys(mockTrees[repoName])
+      .filter(filepath => !dir || filepath.startsWith(`${dir}/`))
+      .reduce((result, filepath) => {
+        result[filepath] = mockTrees[repoName][filepath];
+        return result;
+      }, {}),
+  ),
+  hasBranch: jest.fn(async repoName => repoName !== 'foo/missing'),
+  isAppInstalled: jest.fn(async () => true),
+}));
+
+test('getDriftedPaths', () => {
+  expect(
+    getDriftedPaths(
+      {'projects/child': 'src'},
+      {
+        'projects/child/a.js': '1',
+        'projects/child/b.js': '2',
+        'projects/child/c.js': '3',
+        'projects/other/a.js': '4',
+      },
+      {'src/a.js': '1', 'src/b.js': 'changed', 'src/extra.js': '5'},
+    ),
+  ).toEqual({changed: ['src/b.js'], missing: ['src/c.js']});
+});
+
+test('getDrift', async () => {
+  const drifts = await getDrift('foo/parent', {
+    config: resolveBranches(resolveConfig({})),
+    parentBranch: 'master',
+  });
+
+  expect(drifts).toEqual([
+    {reason: 'missingBranch', branch: 'master', repoName: 'foo/missing'},
+    {
+      reason: 'drifted',
+      branch: 'master',
+      changed: [],
+      missing: ['index.js'],
+      repoName: 'foo/other',
+    },
+  ]);
+  expect(hasDrift({master: drifts})).toBe(true);
+  expect(hasDrift({master: []})).toBe(false);
+  // only the synced directories of the parent repo
+  expect(github.getTreeBlobs).toHaveBeenCalledWith(
+    'foo/parent',
+    'master',
+    'projects/child',
+  );
+  expect(github.getTreeBlobs).not.toHaveBeenCalledWith(
+    'foo/parent',
+    'master',
+    '',
+  );
+});
+
+test('getDrift with too many files to list', async () => {
+  github.getTreeBlobs.mockImplementationOnce(async () => {
+    throw Object.assign(new Error('Too large'), {truncated: true});
+  });
+
+  await expect(
+    getDrift('foo/parent', {
+      config: resolveBranches(resolveConfig({})),
+      parentBranch: 'master',
+    }),
+  ).rejects.toEqual(
+    new USyncError(
+      lang.error_driftTreeTooLarge('foo/parent', 'projects/child'),
+    ),
+  );
+});
@@ -8,6 +8,7 @@ const get = require('just-safe-get');
 const pick = require('just-pick');
 const {GitHubAPI, ProbotOctokit} = require('probot/lib/github');
 const OctokitAuthPlugin = require('./OctokitAuthPlugin.js');
+const {resolvePermissionLevel} = require('./permissions.js');
 
 // same as probot's `context.github` instance, but specially
 // authorized via the custom plugin
@@ -19,41 +20,64 @@ const github = new GitHubAPI({
  * @typedef {import('@octokit/rest').PullsCreateResponse} PullsCreateResponse
  *
  * @typedef {{
- *   github: *,
- *   payload: import('@octokit/webhooks').WebhookPayloadIssueComment,
- * }} ProbotContextType
- *
- * @typedef {{
  *   number: number,
  *   repoName: string,
  * }} PullRequestOpt
- */
-
-/**
- * @param {ProbotContextType} context
- * @returns {Promise<PullRequestOpt & {
+ *
+ * @typedef {PullRequestOpt & {
  *   author: {
  *     login: string,
  *   },
  *   baseRefName: string,
  *   body: string,
  *   headRefName: string,
+ *   headRefOid: string,
  *   headRepository: {
  *     nameWithOwner: string,
  *   },
+ *   labels: string[],
  *   mergeable: 'CONFLICTING' | 'MERGEABLE' | 'UNKNOWN',
  *   mergeStateStatus: 'BEHIND' | 'BLOCKED' | 'CLEAN' | 'DIRTY' | 'DRAFT' | 'HAS_HOOKS' | 'UNKNOWN' | 'UNSTABLE',
  *   reviews: {
  *     nodes: {
+ *       author: {
+ *         login: string,
+ *       } | null,
+ *       commit: {
+ *         oid: string,
+ *       } | null,
  *       state: 'APPROVED' | 'CHANGES_REQUESTED' | 'COMMENTED' | 'DISMISSED' | 'PENDING',
  *     }[],
  *   },
  *   state: 'CLOSED' | 'MERGED' | 'OPEN',
  *   title: string,
  *   url: string,
- * }>}
+ * }} PullRequestInfo
+ *
+ * @typedef {{
+ *   filename: string,
+ *   previousFilename?: string,
+ *   sha: string,
+ *   status: 'added' | 'modified' | 'removed' | 'renamed',
+ * }} FileChangeType
  */
-async function getPullRequestInfo({payload}) {
+
+function normalizeFileChange(file) {
+  return {
+    filename: file.filename,
+    previousFilename: file.previous_filename,
+    sha: file.sha,
+    status: file.status,
+  };
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<PullRequestInfo>}
+ */
+async function getPullRequestInfo({number, repoName}) {
+  const [owner, repo] = repoName.split('/');
+
   return github
     .graphql(
       `query($owner: String!, $repo: String!, $number: Int!) {
@@ -65,14 +89,26 @@ async function getPullRequestInfo({payload}) {
             baseRefName
             body
             headRefName
+            headRefOid
             headRepository {
               nameWithOwner
             }
+            labels(first: 100) {
+              nodes {
+                name
+              }
+            }
             mergeable
             mergeStateStatus
             number
-            reviews(first: 10, states: [APPROVED]) {
+            reviews(first: 100) {
               nodes {
+                author {
+                  login
+                }
+                commit {
+                  oid
+                }
                 state
               }
             }
@@ -83,9 +119,9 @@ async function getPullRequestInfo({payload}) {
         }
       }`,
       {
-        owner: payload.repository.owner.login,
-        repo: payload.repository.name,
-        number: payload.issue.number,
+        owner,
+        repo,
+        number,
         headers: {
           // https://developer.github.com/v4/previews/#mergeinfopreview---more-detailed-information-about-a-pull-requests-merge-state
           accept: 'application/vnd.github.merge-info-preview+json',
@@ -95,17 +131,17 @@ async function getPullRequestInfo({payload}) {
     .then(async res => {
       const result = {
         ...get(res, 'repository.pullRequest'),
-        repoName: payload.repository.full_name,
+        labels: (get(res, 'repository.pullRequest.labels.nodes') || []).map(
+          label => label.name,
+        ),
+        repoName,
       };
 
       // graphql api returns `null` for repos the app isn't installed on,
       // but REST doesn't. supplement the data via REST in this case
       if (!result.headRepository) {
         const nameWithOwner = await github
-          .request('GET /repos/:repoName/pulls/:number', {
-            repoName: payload.repository.full_name,
-            number: payload.issue.number,
-          })
+          .request('GET /repos/:repoName/pulls/:number', {repoName, number})
           .then(res => get(res, 'data.head.repo.full_name'));
 
         result.headRepository = {nameWithOwner};
@@ -127,6 +163,126 @@ async function addComment(pullRequest, body) {
   });
 }
 
+/**
+ * @param {string} repoName
+ * @param {number} commentId
+ * @param {string} body
+ * @returns {Promise<*>}
+ */
+async function updateComment(repoName, commentId, body) {
+  return github.request('PATCH /repos/:repoName/issues/comments/:commentId', {
+    repoName,
+    commentId,
+    data: {body},
+  });
+}
+
+/**
+ * @param {string} repoName
+ * @param {number} commentId
+ * @param {'+1' | '-1' | 'laugh' | 'confused' | 'heart' | 'hooray' | 'rocket' | 'eyes'} content
+ * @returns {Promise<*>}
+ */
+async function addReaction(repoName, commentId, content) {
+  return github.request(
+    'POST /repos/:repoName/issues/comments/:commentId/reactions',
+    {
+      repoName,
+      commentId,
+      data: {content},
+      headers: {
+        accept: 'application/vnd.github.squirrel-girl-preview+json',
+      },
+    },
+  );
+}
+
+/**
+ * https://developer.github.com/v3/checks/runs/#create-a-check-run
+ *
+ * @param {string} repoName
+ * @param {object} data
+ * @returns {Promise<*>}
+ */
+async function createCheckRun(repoName, data) {
+  return github.request('POST /repos/:repoName/check-runs', {
+    repoName,
+    data,
+    headers: {
+      accept: 'application/vnd.github.antiope-preview+json',
+    },
+  });
+}
+
+/**
+ * Combined result of check runs and commit statuses for a commit
+ *
+ * @param {string} repoName
+ * @param {string} ref
+ * @returns {Promise<Object<string, 'failure' | 'pending' | 'success'>>}
+ * map of check run names and status contexts to their state
+ */
+async function getCommitChecks(repoName, ref) {
+  const [checkRuns, combinedStatus] = await Promise.all([
+    github.paginate(
+      'GET /repos/:repoName/commits/:ref/check-runs',
+      {
+        repoName,
+        ref,
+        per_page: 100,
+        headers: {
+          accept: 'application/vnd.github.antiope-preview+json',
+        },
+      },
+      // paginated check runs are normalized to a list
+      res => res.data,
+    ),
+    github
+      .request('GET /repos/:repoName/commits/:ref/status', {repoName, ref})
+      .then(res => res.data),
+  ]);
+  const result = {};
+
+  // statuses are already the latest per context
+  for (const {context, state} of combinedStatus.statuses) {
+    result[context] = state === 'error' ? 'failure' : state;
+  }
+
+  // a check can be re-run, in which case the latest run counts
+  for (const run of checkRuns.sort((a, b) => a.id - b.id)) {
+    if (run.status !== 'completed') {
+      result[run.name] = 'pending';
+    } else {
+      result[run.name] = ['neutral', 'skipped', 'success'].includes(
+        run.conclusion,
+      )
+        ? 'success'
+        : 'failure';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * https://developer.github.com/v3/checks/runs/#update-a-check-run
+ *
+ * @param {string} repoName
+ * @param {number} checkRunId
+ * @param {object} data
+ * @returns {Promise<*>}
+ */
+async function updateCheckRun(repoName, checkRunId, data) {
+  return github.request('PATCH /repos/:repoName/check-runs/:checkRunId', {
+    repoName,
+    checkRunId,
+    data,
+    headers: {
+      accept: 'application/vnd.github.antiope-preview+json',
+    },
+  });
+}
+
 /**
  * @param {PullRequestOpt} issue
  * @param {string} label
@@ -158,6 +314,55 @@ async function addLabel(issue, label) {
   });
 }
 
+/**
+ * @param {PullRequestOpt} issue
+ * @param {string} label
+ * @returns {Promise<*>}
+ */
+async function removeLabel(issue, label) {
+  return github.request(
+    'DELETE /repos/:repoName/issues/:number/labels/:label',
+    {
+      ...pick(issue, ['repoName', 'number']),
+      label,
+    },
+  );
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} label
+ * @returns {Promise<(PullRequestOpt & {title: string})[]>} open
+ * issues with `label`, excluding pull requests
+ */
+async function listOpenIssues(repoName, label) {
+  return github.paginate(
+    'GET /repos/:repoName/issues',
+    {repoName, labels: label, state: 'open', per_page: 100},
+    res =>
+      res.data
+        .filter(issue => !issue.pull_request)
+        .map(issue => ({number: issue.number, repoName, title: issue.title})),
+  );
+}
+
+/**
+ * @param {PullRequestOpt} issue
+ * @param {{
+ *   body?: string,
+ *   state?: 'closed' | 'open',
+ *   title?: string,
+ * }} data
+ * @returns {Promise<*>}
+ */
+async function updateIssue({number, repoName}, data) {
+  return github.request('PATCH /repos/:repoName/issues/:number', {
+    number,
+    repoName,
+    data,
+  });
+}
+
 /**
  * @param {PullRequestOpt} issue
  * @returns {Promise<*>}
@@ -183,6 +388,21 @@ async function deleteBranch(pullRequest, branchName) {
   });
 }
 
+/**
+ * @param {string} repoName
+ * @param {{
+ *   body: string,
+ *   labels?: string[],
+ *   title: string,
+ * }} data
+ * @returns {Promise<{html_url: string, number: number}>}
+ */
+async function createIssue(repoName, data) {
+  return github
+    .request('POST /repos/:repoName/issues', {repoName, data})
+    .then(res => res.data);
+}
+
 /**
  * @param {{
  *   data: {
@@ -204,61 +424,476 @@ async function createPullRequest(opts) {
 }
 
 /**
- * @param {ProbotContextType} context
- * @returns {(PullRequestOpt & {
+ * @param {PullRequestOpt} pullRequest
+ * @param {{
+ *   body?: string,
+ *   state?: 'closed' | 'open',
+ *   title?: string,
+ * }} data
+ * @returns {Promise<*>}
+ */
+async function updatePullRequest({number, repoName}, data) {
+  return github.request('PATCH /repos/:repoName/pulls/:number', {
+    number,
+    repoName,
+    data,
+  });
+}
+
+/**
+ * @param {string} repoName
+ * @returns {Promise<(PullRequestOpt & {
+ *   headRefName: string,
+ *   labels: string[],
  *   title: string,
  *   url: string,
- * }) | void}
+ * })[]>}
  */
-async function findOpenReleasePR({payload}) {
-  return github
-    .graphql(
-      `query($owner: String!, $repo: String!) {
-        repository(owner: $owner, name: $repo) {
-          pullRequests(first: 100, states: [OPEN]) {
-            nodes {
-              number
-              title
-              url
-            }
-          }
-        }
-      }`,
-      {
-        owner: payload.repository.owner.login,
-        repo: payload.repository.name,
-      },
-    )
-    .then(res => {
-      const releasePR = (get(res, 'repository.pullRequests.nodes') || []).find(
-        pullRequest => pullRequest.title.startsWith('Release '),
-      );
-
-      if (releasePR) {
-        return {
-          ...releasePR,
-          repoName: payload.repository.full_name,
-        };
-      }
-    });
+async function listOpenPullRequests(repoName) {
+  return github.paginate(
+    'GET /repos/:repoName/pulls',
+    {repoName, state: 'open', per_page: 100},
+    res =>
+      res.data.map(pullRequest => ({
+        headRefName: pullRequest.head.ref,
+        labels: pullRequest.labels.map(label => label.name),
+        number: pullRequest.number,
+        repoName,
+        title: pullRequest.title,
+        url: pullRequest.html_url,
+      })),
+  );
 }
 
 /**
  * @param {string} repoName
  * @param {string} filepath
+ * @param {string} [ref] branch, tag or sha (defaults to default branch)
  * @returns {string} raw text content
  */
-async function getFileContent(repoName, filepath) {
+async function getFileContent(repoName, filepath, ref) {
   const content = await github
     .request('GET /repos/:repoName/contents/:filepath', {
       repoName,
       filepath,
+      ...(ref ? {ref} : {}),
     })
     .then(res => get(res, 'data.content'));
 
   return content && Buffer.from(content, 'base64').toString('utf-8');
 }
 
+/**
+ * @param {string} repoName
+ * @param {string} ref
+ * @param {string} [dir] only list the files in this directory,
+ * since a monorepo's whole tree can be too large for GitHub to list
+ * @returns {Promise<Object<string, string>>} map of every file path
+ * in `dir` at `ref` to its blob SHA. Empty if `dir` doesn't exist
+ */
+async function getTreeBlobs(repoName, ref, dir = '') {
+  let data;
+
+  try {
+    ({data} = await github.request('GET /repos/:repoName/git/trees/:ref', {
+      repoName,
+      ref: dir ? `${ref}:${dir}` : ref,
+      recursive: 1,
+    }));
+  } catch (error) {
+    if (error.status === 404) return {};
+    throw error;
+  }
+
+  // partial trees would be reported as missing files
+  if (data.truncated) {
+    throw Object.assign(
+      new Error(`The tree of \`${dir || '/'}\` in ${repoName} is too large`),
+      {truncated: true},
+    );
+  }
+
+  return data.tree.reduce((result, entry) => {
+    if (entry.type === 'blob') {
+      result[dir ? `${dir}/${entry.path}` : entry.path] = entry.sha;
+    }
+
+    return result;
+  }, {});
+}
+
+/**
+ * Look up the modes of `filepaths` from the trees of their
+ * directories only, since a monorepo's whole tree can be too large
+ * for GitHub to list
+ *
+ * @param {string} repoName
+ * @param {string} ref
+ * @param {string[]} filepaths
+ * @returns {Promise<Object<string, string>>} map of each of
+ * `filepaths` at `ref` to its mode, e.g. `100755` for executables or
+ * `120000` for symlinks
+ */
+async function getFileModes(repoName, ref, filepaths) {
+  const dirs = new Set(
+    filepaths.map(filepath =>
+      filepath
+        .split('/')
+        .slice(0, -1)
+        .join('/'),
+    ),
+  );
+  const result = {};
+
+  for (const dir of dirs) {
+    const {data} = await github.request('GET /repos/:repoName/git/trees/:ref', {
+      repoName,
+      ref: dir ? `${ref}:${dir}` : ref,
+    });
+
+    for (const entry of data.tree) {
+      const filepath = dir ? `${dir}/${entry.path}` : entry.path;
+
+      if (filepaths.includes(filepath)) {
+        result[filepath] = entry.mode;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @returns {Promise<string | void>} head commit SHA, or nothing if
+ * the branch doesn't exist
+ */
+async function getBranchSha(repoName, branch) {
+  try {
+    return await github
+      .request('GET /repos/:repoName/branches/:branch', {repoName, branch})
+      .then(res => get(res, 'data.commit.sha'));
+  } catch (error) {
+    if (error.status === 404) return;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @returns {Promise<boolean>}
+ */
+async function hasBranch(repoName, branch) {
+  return Boolean(await getBranchSha(repoName, branch));
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} tag
+ * @returns {Promise<boolean>}
+ */
+async function hasTag(repoName, tag) {
+  try {
+    const res = await github.request(
+      'GET /repos/:repoName/git/refs/tags/:tag',
+      {
+        repoName,
+        tag,
+      },
+    );
+
+    // a list of prefix matches is returned if there's no exact match
+    return !Array.isArray(res.data);
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @returns {Promise<{html_url: string, tag_name: string} | void>}
+ * nothing if the repo has no releases
+ */
+async function getLatestRelease(repoName) {
+  try {
+    return await github
+      .request('GET /repos/:repoName/releases/latest', {repoName})
+      .then(res => res.data);
+  } catch (error) {
+    if (error.status === 404) return;
+    throw error;
+  }
+}
+
+/**
+ * https://developer.github.com/v3/repos/releases/#create-a-release
+ *
+ * @param {string} repoName
+ * @param {{
+ *   body: string,
+ *   name: string,
+ *   tag_name: string,
+ *   target_commitish: string,
+ * }} data
+ * @returns {Promise<{html_url: string, tag_name: string}>}
+ */
+async function createRelease(repoName, data) {
+  return github
+    .request('POST /repos/:repoName/releases', {repoName, data})
+    .then(res => res.data);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<{message: string, sha: string}[]>} commits
+ * reachable from `head` but not `base`, oldest first
+ */
+async function compareCommits(repoName, base, head) {
+  return github
+    .request('GET /repos/:repoName/compare/:base...:head', {
+      repoName,
+      base,
+      head,
+    })
+    .then(res =>
+      res.data.commits.map(({commit, sha}) => ({message: commit.message, sha})),
+    );
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<FileChangeType[]>} files changed between `base`
+ * and `head` (GitHub lists at most 300)
+ */
+async function compareFiles(repoName, base, head) {
+  return github
+    .request('GET /repos/:repoName/compare/:base...:head', {
+      repoName,
+      base,
+      head,
+    })
+    .then(res => res.data.files.map(normalizeFileChange));
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} sha
+ * @returns {Promise<{
+ *   message: string,
+ *   parents: {sha: string}[],
+ *   tree: {sha: string},
+ * }>}
+ */
+async function getCommit(repoName, sha) {
+  return github
+    .request('GET /repos/:repoName/git/commits/:sha', {repoName, sha})
+    .then(res => res.data);
+}
+
+/**
+ * @param {string} repoName
+ * @param {{
+ *   message: string,
+ *   parents: string[],
+ *   tree: string,
+ * }} data
+ * @returns {Promise<string>} new commit SHA
+ */
+async function createCommit(repoName, data) {
+  return github
+    .request('POST /repos/:repoName/git/commits', {repoName, data})
+    .then(res => res.data.sha);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} sha
+ * @returns {Promise<string>} base64 encoded content
+ */
+async function getBlob(repoName, sha) {
+  return github
+    .request('GET /repos/:repoName/git/blobs/:sha', {repoName, sha})
+    .then(res => res.data.content);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} content base64 encoded content
+ * @returns {Promise<string>} new blob SHA
+ */
+async function createBlob(repoName, content) {
+  return github
+    .request('POST /repos/:repoName/git/blobs', {
+      repoName,
+      data: {content, encoding: 'base64'},
+    })
+    .then(res => res.data.sha);
+}
+
+/**
+ * @param {string} repoName
+ * @param {{
+ *   base_tree: string,
+ *   tree: {
+ *     mode: string,
+ *     path: string,
+ *     sha: string | null,
+ *     type: 'blob',
+ *   }[],
+ * }} data entries with a `null` sha are removed from `base_tree`
+ * @returns {Promise<string>} new tree SHA
+ */
+async function createTree(repoName, data) {
+  return github
+    .request('POST /repos/:repoName/git/trees', {repoName, data})
+    .then(res => res.data.sha);
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} branch
+ * @param {string} sha
+ * @returns {Promise<*>}
+ */
+async function createBranch(repoName, branch, sha) {
+  return github.request('POST /repos/:repoName/git/refs', {
+    repoName,
+    data: {ref: `refs/heads/${branch}`, sha},
+  });
+}
+
+/**
+ * Move `branch` to `sha`, failing unless it's a fast-forward
+ * or `force` is set
+ *
+ * @param {string} repoName
+ * @param {string} branch
+ * @param {string} sha
+ * @param {boolean} [force]
+ * @returns {Promise<*>}
+ */
+async function updateBranch(repoName, branch, sha, force = false) {
+  return github.request('PATCH /repos/:repoName/git/refs/heads/:branch', {
+    repoName,
+    branch,
+    data: {sha, force},
+  });
+}
+
+/**
+ * @param {string} repoName
+ * @param {{
+ *   base: string,
+ *   commit_message: string,
+ *   head: string,
+ * }} data
+ * @returns {Promise<string>} merge commit SHA
+ */
+async function mergeBranch(repoName, data) {
+  return github
+    .request('POST /repos/:repoName/merges', {repoName, data})
+    .then(res => res.data.sha);
+}
+
+/**
+ * Requests that aren't tied to a repo use `GH_TOKEN`, so this is
+ * the user uSync pushes as
+ *
+ * @returns {Promise<string>} login
+ */
+async function getAuthenticatedUser() {
+  return github.request('GET /user').then(res => res.data.login);
+}
+
+/**
+ * Requests to a repo are authorized with the app's installation
+ * for that repo, so they fail if it isn't installed
+ *
+ * @param {string} repoName
+ * @returns {Promise<boolean>}
+ */
+async function isAppInstalled(repoName) {
+  try {
+    await github.request('GET /repos/:repoName', {repoName});
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} username
+ * @returns {Promise<string>} one of `PERMISSION_LEVELS`
+ */
+async function getPermissionLevel(repoName, username) {
+  return github
+    .request('GET /repos/:repoName/collaborators/:username/permission', {
+      repoName,
+      username,
+    })
+    .then(res => resolvePermissionLevel(res.data));
+}
+
+/**
+ * @param {string} team `org/team-slug` (optionally prefixed with `@`)
+ * @param {string} username
+ * @returns {Promise<boolean>}
+ */
+async function isTeamMember(team, username) {
+  const [org, teamSlug] = team.replace(/^@/, '').split('/');
+
+  try {
+    const res = await github.request(
+      'GET /orgs/:org/teams/:teamSlug/memberships/:username',
+      {org, teamSlug, username},
+    );
+
+    return res.data.state === 'active';
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<string[]>} paths of all added, modified, removed
+ * and renamed (both old and new path) files
+ */
+async function getPullRequestFiles({number, repoName}) {
+  return github.paginate(
+    'GET /repos/:repoName/pulls/:number/files',
+    {repoName, number, per_page: 100},
+    res =>
+      res.data.reduce((result, file) => {
+        result.push(file.filename);
+        if (file.previous_filename) result.push(file.previous_filename);
+        return result;
+      }, []),
+  );
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {Promise<FileChangeType[]>}
+ */
+async function getPullRequestFileChanges({number, repoName}) {
+  return github.paginate(
+    'GET /repos/:repoName/pulls/:number/files',
+    {repoName, number, per_page: 100},
+    res => res.data.map(normalizeFileChange),
+  );
+}
+
 /**
  * @param {string} body
  * @returns {{
@@ -338,34 +973,67 @@ async function prHasLabel(pullRequest, label) {
 }
 
 /**
- * @param {PullRequestOpt & {
- *   title: string,
- * }} pullRequest
- * @returns {Promise<void>}
+ * https://developer.github.com/v3/pulls/#merge-a-pull-request-merge-button
+ *
+ * @param {PullRequestOpt} pullRequest
+ * @param {{
+ *   commit_message?: string,
+ *   commit_title?: string,
+ *   merge_method: 'merge' | 'rebase' | 'squash',
+ * }} data
+ * @returns {Promise<*>}
  */
-async function mergeReleasePR(pullRequest) {
-  const {number, repoName, title, url} = pullRequest;
+async function mergePullRequest({number, repoName}, data) {
   return github.request('PUT /repos/:repoName/pulls/:number/merge', {
     number,
     repoName,
-    data: {
-      commit_title: `${title} (#${number})`,
-      commit_message: url,
-      merge_method: 'squash',
-    },
+    data,
   });
 }
 
 module.exports = {
   addComment,
   addLabel,
+  addReaction,
   closeIssue,
+  compareCommits,
+  compareFiles,
+  createBlob,
+  createBranch,
+  createCheckRun,
+  createCommit,
+  createIssue,
   createPullRequest,
+  createRelease,
+  createTree,
   deleteBranch,
-  findOpenReleasePR,
+  getAuthenticatedUser,
+  getBlob,
+  getBranchSha,
+  getCommitChecks,
+  getCommit,
   getFileContent,
+  getFileModes,
+  getLatestRelease,
+  getPermissionLevel,
+  getPullRequestFileChanges,
+  getPullRequestFiles,
   getPullRequestInfo,
-  mergeReleasePR,
+  getTreeBlobs,
+  hasBranch,
+  hasTag,
+  isAppInstalled,
+  isTeamMember,
+  listOpenIssues,
+  listOpenPullRequests,
+  mergeBranch,
+  mergePullRequest,
   parsePRBody,
   prHasLabel,
+  removeLabel,
+  updateBranch,
+  updateCheckRun,
+  updateComment,
+  updateIssue,
+  updatePullRequest,
 };
@@ -4,31 +4,165 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const {USync} = require('usyncit');
+const path = require('path');
 const {
   addComment,
   addLabel,
   closeIssue,
+  compareCommits,
   createPullRequest,
   deleteBranch,
-  findOpenReleasePR,
+  getAuthenticatedUser,
+  getBranchSha,
   getFileContent,
+  getPermissionLevel,
   getPullRequestInfo,
-  mergeReleasePR,
+  isTeamMember,
+  mergeBranch,
+  mergePullRequest,
   parsePRBody,
-  prHasLabel,
+  removeLabel,
 } = require('./github.js');
+const BranchSync = require('./BranchSync.js');
+const CommandStatus = require('./CommandStatus.js');
+const {
+  ConfigError,
+  getChildBranch,
+  getParentBranch,
+  loadConfig,
+} = require('./config.js');
+const {getDriftReport, updateDriftIssue} = require('./drift.js');
+const LandQueue = require('./LandQueue.js');
+const LandRecords = require('./LandRecords.js');
 const lang = require('./lang.js');
+const {closeMirror, updateMirrors} = require('./mirror.js');
+const {
+  CONFIGURED_PARENT_REPOS,
+  findParentRepo,
+  watchParents,
+} = require('./parents.js');
+const {PERMISSION_LEVELS} = require('./permissions.js');
+const PersistentMap = require('./PersistentMap.js');
+const {getLandBlockers} = require('./preflight.js');
+const {
+  getPushedRepo,
+  getSyncedPushChanges,
+  importPush,
+  isLandedPush,
+  reportPush,
+} = require('./pushes.js');
+const {
+  getLandHeads,
+  getLandOutcome,
+  openFallbackPR,
+  retryRepo,
+  revertRepo,
+} = require('./recovery.js');
+const {
+  createChildRelease,
+  findOpenReleasePR,
+  getChildVersionChanges,
+  getLandedVersionSha,
+  getReleaseCommit,
+  isReleasePR,
+} = require('./release.js');
+const {getRequiredCheckProblems} = require('./requiredChecks.js');
+const {getReviewProblems} = require('./reviews.js');
+const {appendJSONLine} = require('./store.js');
+const {getLandPreview} = require('./preview.js');
 const ProbotCommands = require('./ProbotCommands.js');
 
-const {USYNC_PARENT_REPO} = process.env;
+const {USYNC_COMMAND_PREFIXES, USYNC_MENTIONS} = process.env;
+const LAND_QUEUE_PATH =
+  process.env.USYNC_LAND_QUEUE_PATH ||
+  path.resolve(__dirname, '../.data/land-queue.json');
+const BREAKGLASS_LOG_PATH =
+  process.env.USYNC_BREAKGLASS_LOG_PATH ||
+  path.resolve(__dirname, '../.data/breakglass.log');
+const LAND_RECORDS_PATH =
+  process.env.USYNC_LAND_RECORDS_PATH ||
+  path.resolve(__dirname, '../.data/land-records.json');
+const RELEASES_PATH =
+  process.env.USYNC_RELEASES_PATH ||
+  path.resolve(__dirname, '../.data/releases.json');
+const IMPORTS_PATH =
+  process.env.USYNC_IMPORTS_PATH ||
+  path.resolve(__dirname, '../.data/imports.json');
+const AUTO_LAND_PATH =
+  process.env.USYNC_AUTO_LAND_PATH ||
+  path.resolve(__dirname, '../.data/auto-land.json');
+const MIRRORS_PATH =
+  process.env.USYNC_MIRRORS_PATH ||
+  path.resolve(__dirname, '../.data/mirrors.json');
+// hours between drift checks of `USYNC_PARENT_REPOS`; off if unset
+const DRIFT_INTERVAL = Number(process.env.USYNC_DRIFT_INTERVAL) || 0;
 
 /**
  * @typedef {{
  *   number: number,
  *   repoName: string,
  * }} PullRequestOpt
+ *
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {import('./LandRecords.js').LandRecordType} LandRecordType
+ *
+ * @typedef {import('./LandQueue.js').BreakglassType} BreakglassType
+ *
+ * @typedef {import('./LandQueue.js').QueueEntry} QueueEntry
+ *
+ * @typedef {{
+ *   blockedLands: QueueEntry[],
+ *   freeze?: {
+ *     actor: string,
+ *     date: string,
+ *     reason: string,
+ *   },
+ * }} ReleaseStateType
+ *
+ * @typedef {{
+ *   actor: string,
+ *   reason: string,
+ *   type: 'freeze',
+ * } | {
+ *   type: 'releasePR',
+ *   url: string,
+ * }} ReleaseBlockerType
+ *
+ * @typedef {{
+ *   headRefName: string,
+ *   headRepoName: string,
+ *   headSha: string,
+ *   parentNumber: number,
+ *   parentRepoName: string,
+ * }} ImportRecordType
+ *
+ * @typedef {QueueEntry & {
+ *   author: string,
+ *   headSha: string,
+ *   label: string,
+ *   labeled: boolean,
+ * }} AutoLandEntry
+ *
+ * @typedef {import('./mirror.js').MirrorType} MirrorType
+ *
+ * @typedef {import('./ProbotCommands.js').CommandType} CommandType
+ *
+ * @typedef {import('./ProbotCommands.js').RequirementsType} RequirementsType
+ */
+
+/**
+ * @param {string} [value] comma-separated list
+ * @returns {string[]}
  */
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
 
 /**
  * Parse summary and overrides from pull request body
@@ -39,13 +173,13 @@ const {USYNC_PARENT_REPO} = process.env;
  *   body: string,
  *   title: string,
  * }} pullRequest
- * @param {PullRequestOpt} [importedPR]
+ * @param {PullRequestOpt[]} [importedPRs]
  * @returns {{
  *   generic: string,
  * } & Object<string, string>} map of repo names to commit messages
  */
-function generateCommitMessages(pullRequest, importedPR) {
-  const PRRefs = [pullRequest, importedPR].filter(Boolean);
+function generateCommitMessages(pullRequest, importedPRs = []) {
+  const PRRefs = [pullRequest, ...importedPRs];
   const {overrides, summary} = parsePRBody(pullRequest.body);
   const result = {
     generic: pullRequest.title + (summary ? `\n\n${summary}` : ''),
@@ -67,205 +201,2430 @@ function generateCommitMessages(pullRequest, importedPR) {
   return result;
 }
 
+/**
+ * Branch that `!import` creates for `importedPRs`, e.g.
+ * `imports/foo/child/1`, or `imports/foo/child/1+foo/other/2`
+ * when several are imported together
+ *
+ * @param {PullRequestOpt[]} importedPRs
+ * @param {ConfigType} config
+ * @returns {string}
+ */
+function getImportBranch(importedPRs, config) {
+  return (
+    config.branchPrefixes.import +
+    importedPRs.map(({number, repoName}) => `${repoName}/${number}`).join('+')
+  );
+}
+
+/**
+ * Get the originally imported child pull requests from
+ * a parent pull request's branch name
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {ConfigType} config
+ * @returns {PullRequestOpt[]}
+ */
+function getImportedPRs(pullRequest, config) {
+  const importPrefix = config.branchPrefixes.import;
+  const isFork =
+    pullRequest.repoName !== pullRequest.headRepository.nameWithOwner;
+
+  if (isFork || !pullRequest.headRefName.startsWith(importPrefix)) {
+    return [];
+  }
+
+  return pullRequest.headRefName
+    .slice(importPrefix.length)
+    .split('+')
+    .map(ref => {
+      const [owner, repo, number] = ref.split('/');
+
+      return {
+        repoName: `${owner}/${repo}`,
+        number: parseInt(number),
+      };
+    });
+}
+
+/**
+ * Parse `owner/repo#123` references, e.g. from `!import --with`
+ *
+ * @param {string[]} refs
+ * @returns {{invalid: string[], pullRequests: PullRequestOpt[]}}
+ */
+function parsePRRefs(refs) {
+  return refs.reduce(
+    (result, ref) => {
+      const match = /^([^/\s#]+\/[^/\s#]+)#(\d+)$/.exec(ref);
+
+      if (match) {
+        result.pullRequests.push({
+          repoName: match[1],
+          number: parseInt(match[2]),
+        });
+      } else {
+        result.invalid.push(ref);
+      }
+
+      return result;
+    },
+    {invalid: [], pullRequests: []},
+  );
+}
+
+/**
+ * @param {PullRequestOpt} pullRequest
+ * @returns {string}
+ */
+function getIssueKey({number, repoName}) {
+  return `${repoName}#${number}`;
+}
+
+/**
+ * @param {*} pullRequest `pull_request` webhook payload's
+ * @param {ConfigType} config
+ * @returns {boolean} whether it's a release merged into a synced branch
+ */
+function isMergedRelease(pullRequest, config) {
+  return (
+    pullRequest.merged &&
+    pullRequest.base.ref in config.branches &&
+    isReleasePR(
+      {
+        headRefName: pullRequest.head.ref,
+        labels: pullRequest.labels.map(label => label.name),
+      },
+      config.release,
+    )
+  );
+}
+
+/**
+ * @param {LandRecordType} record
+ * @returns {Object<string, {
+ *   fallbackPR?: {number: number, url: string},
+ *   sha: string,
+ * }>}
+ */
+function getLandedRepos(record) {
+  return Object.entries(record.repos).reduce((result, [repoName, outcome]) => {
+    if (outcome.status === 'landed') {
+      result[repoName] = {fallbackPR: outcome.fallbackPR, sha: outcome.sha};
+    }
+
+    return result;
+  }, {});
+}
+
 /**
  * @param {import('probot').Application} app
  */
 function ProbotApp(app) {
-  const commands = new ProbotCommands(app);
-  const sync = new USync(USYNC_PARENT_REPO);
+  const commands = new ProbotCommands(app, {
+    mentions: splitList(USYNC_MENTIONS),
+    prefixes: splitList(USYNC_COMMAND_PREFIXES),
+    onDenied: (context, {command}, denial) =>
+      createStatus({
+        commentId: context.payload.comment.id,
+        number: context.payload.issue.number,
+        repoName: context.payload.repository.full_name,
+      }).fail(lang.error_permissionDenied(command.slice(1), denial)),
+    // e.g. `!land` or `!release-freeze` in a child repo
+    onUnavailable: async (context, {command}) => {
+      const unavailableErrors = {
+        '!import': lang.error_noImportFromParent,
+        '!land': lang.error_mustLandFromParent,
+        '!preview': lang.error_mustPreviewFromParent,
+      };
+      let error;
 
-  commands.on(['!import', '!land', '!merge'], async (context, command) => {
-    const {payload} = context;
-    const pullRequest = await getPullRequestInfo(context);
-    const commandName = command.slice(1);
-    const isFork =
-      payload.repository.full_name !== pullRequest.headRepository.nameWithOwner;
+      if (!(await findParentRepo(context))) {
+        error = lang.error_noParentRepo(command.slice(1));
+      } else if (unavailableErrors[command]) {
+        error = unavailableErrors[command]();
+      } else {
+        error = lang.error_commandUnavailable(command);
+      }
 
-    if (command === '!merge') {
-      const suggestedCommand =
-        payload.repository.full_name === USYNC_PARENT_REPO
-          ? '!land'
-          : '!import';
+      return createStatus({
+        commentId: context.payload.comment.id,
+        number: context.payload.issue.number,
+        repoName: context.payload.repository.full_name,
+      }).fail(error);
+    },
+  });
+  const landQueue = new LandQueue({
+    filepath: LAND_QUEUE_PATH,
+    land: landQueued,
+    log: app.log,
+  });
+  const landRecords = new LandRecords({filepath: LAND_RECORDS_PATH});
+  // parent repo name -> freeze and lands waiting for the release
+  /** @type {PersistentMap<ReleaseStateType>} */
+  const releases = new PersistentMap({filepath: RELEASES_PATH});
+  // child pull request -> parent pull request it was imported into
+  // and the head branch and commit imported, keyed by `getIssueKey`
+  /** @type {PersistentMap<ImportRecordType>} */
+  const imports = new PersistentMap({filepath: IMPORTS_PATH});
+  // pull requests waiting to be queued once they're ready to land,
+  // keyed by `getIssueKey`
+  /** @type {PersistentMap<AutoLandEntry>} */
+  const autoLands = new PersistentMap({filepath: AUTO_LAND_PATH});
+  // auto-land key -> whether to check again once the current check
+  // finishes, since webhooks can arrive while one is running
+  const autoLandChecks = new Map();
+  // parent pull request -> its mirror in each child repo, keyed by
+  // `getIssueKey`
+  /** @type {PersistentMap<Object<string, MirrorType>>} */
+  const mirrors = new PersistentMap({filepath: MIRRORS_PATH});
+  // mirror key -> pending update, so each runs after the last
+  const mirrorUpdates = new Map();
+  // releases being landed by `!land`, keyed by `getIssueKey`, so
+  // the `pull_request.closed` webhook doesn't land them again
+  const landingReleases = new Set();
+  // one instance per parent repo so each has its own queue
+  const syncs = new Map();
+  let syncLogins;
 
-      return addComment(
-        pullRequest,
-        lang.error_mergeCommandNotSupported(suggestedCommand),
-      );
+  /**
+   * @param {{
+   *   commentId?: number,
+   *   number: number,
+   *   repoName: string,
+   *   statusCommentId?: number,
+   * }} opts
+   * @returns {CommandStatus}
+   */
+  function createStatus(opts) {
+    return new CommandStatus({...opts, log: app.log});
+  }
+
+  /**
+   * @param {string} parentRepoName
+   * @returns {BranchSync}
+   */
+  function getSync(parentRepoName) {
+    if (!syncs.has(parentRepoName)) {
+      syncs.set(parentRepoName, new BranchSync(parentRepoName));
+    }
+
+    return syncs.get(parentRepoName);
+  }
+
+  /**
+   * uSync pushes as the `GH_TOKEN` user, and everything else is
+   * written through the API as the app
+   *
+   * @returns {Promise<string[]>}
+   */
+  function getSyncLogins() {
+    if (!syncLogins) {
+      syncLogins = Promise.all([
+        getAuthenticatedUser(),
+        app
+          .auth()
+          .then(github => github.apps.getAuthenticated())
+          .then(res => `${res.data.slug}[bot]`),
+      ]).catch(error => {
+        // retried on the next push
+        syncLogins = undefined;
+        throw error;
+      });
+    }
+
+    return syncLogins;
+  }
+
+  /**
+   * Load the parent repo's config, failing `status` if it's invalid
+   *
+   * @param {CommandStatus} status
+   * @param {string} commandName
+   * @param {string} parentRepoName
+   * @returns {Promise<ConfigType | void>}
+   */
+  async function getConfig(status, commandName, parentRepoName) {
+    try {
+      return await loadConfig(parentRepoName);
+    } catch (error) {
+      if (error instanceof ConfigError) {
+        await status.fail(
+          lang.error_invalidConfig(commandName, error.problems),
+        );
+        return;
+      }
+
+      throw error;
     }
+  }
+
+  /**
+   * Load the parent repo's config and check that `pullRequest`
+   * can be imported/landed
+   *
+   * @param {PullRequestInfo} pullRequest
+   * @param {{
+   *   command: string,
+   *   parentRepoName: string | void,
+   *   skipChecks?: boolean,
+   * }} opts
+   * @returns {Promise<{
+   *   config: ConfigType,
+   *   parentBranch: string,
+   * } | {error: string}>} `error` explains why it can't be
+   */
+  async function validatePullRequest(pullRequest, opts) {
+    const {command, parentRepoName, skipChecks} = opts;
+    const commandName = command.slice(1);
+    let config;
 
     if (pullRequest.state !== 'OPEN') {
-      return addComment(pullRequest, lang.error_PRNotOpen(commandName));
+      return {error: lang.error_PRNotOpen(commandName)};
     }
 
-    if (pullRequest.baseRefName !== 'master') {
-      return addComment(pullRequest, lang.error_targetNotMaster());
+    if (!parentRepoName) {
+      return {error: lang.error_noParentRepo(commandName)};
     }
 
-    if (pullRequest.mergeable !== 'MERGEABLE') {
-      return addComment(
-        pullRequest,
-        lang.error_branchNotMergeable(commandName),
-      );
+    try {
+      config = await loadConfig(parentRepoName);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      return {error: lang.error_invalidConfig(commandName, error.problems)};
     }
 
-    // require approval for landing if commenter is PR author
-    if (
-      command === '!land' &&
-      payload.comment.user.login === pullRequest.author.login
-    ) {
-      const hasApproval = pullRequest.reviews.nodes.some(
-        review => review.state === 'APPROVED',
-      );
+    const parentBranch =
+      pullRequest.repoName === parentRepoName
+        ? pullRequest.baseRefName in config.branches && pullRequest.baseRefName
+        : getParentBranch(
+            config,
+            pullRequest.repoName,
+            pullRequest.baseRefName,
+          );
+
+    if (!parentBranch) {
+      return {error: lang.error_targetNotMapped(pullRequest.baseRefName)};
+    }
+
+    if (pullRequest.mergeable !== 'MERGEABLE') {
+      return {error: lang.error_branchNotMergeable(commandName)};
+    }
 
+    // landing requires passing reviews, whoever runs it, unless
+    // breakglass was used or it's waiting for them to pass
+    if (command === '!land' && !skipChecks) {
       // https://developer.github.com/v4/enum/mergestatestatus/
       const upToDatePassing =
         pullRequest.mergeStateStatus === 'CLEAN' ||
         pullRequest.mergeStateStatus === 'HAS_HOOKS';
 
-      if (!hasApproval || !upToDatePassing) {
-        const hasBreakglass = await prHasLabel(pullRequest, 'breakglass');
+      if (!upToDatePassing) {
+        return {error: lang.error_upToDatePassing(commandName)};
+      }
 
-        if (!hasBreakglass && !upToDatePassing) {
-          return addComment(
-            pullRequest,
-            lang.error_upToDatePassing(commandName),
-          );
+      const checkProblems = await getRequiredCheckProblems(
+        pullRequest,
+        config.requiredChecks,
+      );
+
+      if (checkProblems.length) {
+        return {error: lang.error_requiredChecks(commandName, checkProblems)};
+      }
+
+      const reviewProblems = await getReviewProblems(
+        pullRequest,
+        config.reviews,
+      );
+
+      if (reviewProblems.length) {
+        return {
+          error: lang.error_reviewRequirements(commandName, reviewProblems),
+        };
+      }
+    }
+
+    return {config, parentBranch};
+  }
+
+  /**
+   * Like `validatePullRequest`, but fails `status` with the reason
+   * the pull request can't be imported/landed
+   *
+   * @param {PullRequestInfo} pullRequest
+   * @param {{
+   *   command: string,
+   *   parentRepoName: string | void,
+   *   skipChecks?: boolean,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<{
+   *   config: ConfigType,
+   *   parentBranch: string,
+   * } | void>}
+   */
+  async function checkPullRequest(pullRequest, {status, ...opts}) {
+    const result = await validatePullRequest(pullRequest, opts);
+
+    if ('error' in result) {
+      return status.fail(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Import child pull requests into a single parent pull request
+   *
+   * @param {PullRequestInfo[]} pullRequests child pull requests, the
+   * first being the one commented on
+   * @param {{
+   *   config: ConfigType,
+   *   importer: string,
+   *   parentBranch: string,
+   *   parentRepoName: string,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function importPullRequests(pullRequests, opts) {
+    const {config, importer, parentBranch, parentRepoName, status} = opts;
+    const [pullRequest, ...otherPRs] = pullRequests;
+    const newBranch = getImportBranch(pullRequests, config);
+    let prTemplate;
+
+    await status.startCheck('import', pullRequest.headRefOid);
+
+    try {
+      prTemplate = await getFileContent(
+        parentRepoName,
+        '.github/pull_request_template.md',
+      );
+    } catch (e) {
+      return status.fail(lang.error_noPRTemplate('import'));
+    }
+
+    try {
+      await status.update(lang.notify_importing());
+
+      // uSync imports onto a new branch from the parent branch, so
+      // the others are imported separately and merged into the first
+      for (const importedPR of pullRequests) {
+        const branch =
+          importedPR === pullRequest
+            ? newBranch
+            : getImportBranch([importedPR], config);
+
+        await getSync(parentRepoName).import({
+          baseRepoName: importedPR.repoName,
+          childBranch: importedPR.baseRefName,
+          headRepoName: importedPR.headRepository.nameWithOwner,
+          headBranch: importedPR.headRefName,
+          message: importedPR.title,
+          newBranch: branch,
+          parentBranch,
+        });
+
+        if (branch !== newBranch) {
+          await mergeBranch(parentRepoName, {
+            base: newBranch,
+            commit_message: importedPR.title,
+            head: branch,
+          });
+          await deleteBranch({repoName: parentRepoName}, branch);
         }
+      }
+
+      const newPR = await createPullRequest({
+        repoName: parentRepoName,
+        data: {
+          title: pullRequest.title,
+          base: parentBranch,
+          head: newBranch,
+          body: lang.PRBody_imported({
+            importedPRs: pullRequests,
+            template: prTemplate,
+          }),
+        },
+      });
+
+      await addComment(
+        {
+          repoName: parentRepoName,
+          number: newPR.number,
+        },
+        lang.notify_importedToParent({importedPRs: pullRequests, importer}),
+      );
+      await Promise.all(
+        otherPRs.map(async otherPR => {
+          await addComment(
+            otherPR,
+            lang.notify_importedFromChild(newPR.html_url),
+          );
+          await closeIssue(otherPR);
+        }),
+      );
+      await closeIssue(pullRequest);
+      await status.succeed(lang.notify_importedFromChild(newPR.html_url));
 
-        if (!hasBreakglass && !hasApproval) {
-          return addComment(pullRequest, lang.error_approval(commandName));
+      for (const importedPR of pullRequests) {
+        const isFork =
+          importedPR.repoName !== importedPR.headRepository.nameWithOwner;
+
+        await imports.set(getIssueKey(importedPR), {
+          headRefName: importedPR.headRefName,
+          headRepoName: importedPR.headRepository.nameWithOwner,
+          headSha: importedPR.headRefOid,
+          parentNumber: newPR.number,
+          parentRepoName,
+        });
+
+        // kept so new commits can be re-imported
+        if (!isFork && !config.import.autoReimport) {
+          await deleteBranch(importedPR, importedPR.headRefName);
         }
       }
+    } catch (error) {
+      await status.fail(lang.error_SyncError('import', error));
+      throw error;
+    }
+  }
+
+  /**
+   * Import new commits from the head branches of the child pull
+   * requests `pullRequest` was imported from. Only the commits since
+   * the last import are applied, on top of the parent pull request's
+   * branch, so changes made to it in the parent repo are kept
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   config: ConfigType,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function reimportPullRequest(pullRequest, {config, status}) {
+    const {repoName: parentRepoName} = pullRequest;
+    const importedPRs = getImportedPRs(pullRequest, config);
+
+    if (!importedPRs.length) {
+      return status.fail(lang.error_notImported());
     }
 
     try {
-      if (command === '!import') {
-        if (payload.repository.full_name === USYNC_PARENT_REPO) {
-          return addComment(pullRequest, lang.error_noImportFromParent());
+      await status.update(lang.notify_reimporting());
+
+      const results = [];
+
+      for (const ref of importedPRs) {
+        const importedPR = await getPullRequestInfo(ref);
+        const headRepoName = importedPR.headRepository.nameWithOwner;
+        const record = await imports.get(getIssueKey(ref));
+        const headSha = await getBranchSha(
+          headRepoName,
+          importedPR.headRefName,
+        );
+        const result = {...ref, headRepoName};
+
+        if (!headSha) {
+          results.push({...result, status: 'missingBranch'});
+          continue;
         }
 
-        const newBranch = [
-          'imports',
-          pullRequest.repoName,
-          payload.issue.number,
-        ].join('/');
-        let prTemplate;
+        // what was last imported can't be told apart from what's new
+        if (!record) {
+          results.push({...result, status: 'notRecorded'});
+          continue;
+        }
 
-        try {
-          prTemplate = await getFileContent(
-            USYNC_PARENT_REPO,
-            '.github/pull_request_template.md',
-          );
-        } catch (e) {
-          return addComment(pullRequest, lang.error_noPRTemplate(commandName));
+        if (record.headSha === headSha) {
+          results.push({...result, status: 'unchanged'});
+          continue;
         }
 
-        await sync.import({
-          baseRepoName: payload.repository.full_name,
-          headRepoName: pullRequest.headRepository.nameWithOwner,
-          headBranch: pullRequest.headRefName,
-          message: pullRequest.title,
-          newBranch,
+        const isImported = await getSync(parentRepoName).import({
+          baseRepoName: importedPR.repoName,
+          childBranch: importedPR.baseRefName,
+          headRepoName,
+          headBranch: importedPR.headRefName,
+          headSha,
+          message: importedPR.title,
+          newBranch: pullRequest.headRefName,
+          parentBranch: pullRequest.baseRefName,
+          since: record.headSha,
         });
 
-        const newPR = await createPullRequest({
-          repoName: USYNC_PARENT_REPO,
-          data: {
-            title: pullRequest.title,
-            base: 'master',
-            head: newBranch,
-            body: lang.PRBody_imported({
-              importedPR: pullRequest,
-              template: prTemplate,
-            }),
-          },
+        await imports.set(getIssueKey(ref), {...record, headSha});
+        results.push({
+          ...result,
+          commits: await compareCommits(headRepoName, record.headSha, headSha),
+          status: isImported ? 'updated' : 'noChanges',
         });
+      }
 
-        await addComment(
-          {
-            repoName: USYNC_PARENT_REPO,
-            number: newPR.number,
-          },
-          lang.notify_importedToParent({
-            importedPR: pullRequest,
-            importer: payload.comment.user.login,
-          }),
+      await status.succeed(lang.notify_reimported(results));
+    } catch (error) {
+      await status.fail(lang.error_SyncError('reimport', error));
+      throw error;
+    }
+  }
+
+  /**
+   * Look up and check the pull requests given with `!import --with`,
+   * failing `status` if any can't be imported along with `pullRequest`
+   *
+   * @param {PullRequestInfo} pullRequest child pull request
+   * @param {{
+   *   config: ConfigType,
+   *   importer: string,
+   *   parentBranch: string,
+   *   parentRepoName: string,
+   *   refs: string[],
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<PullRequestInfo[] | void>}
+   */
+  async function getPRsToImportWith(pullRequest, opts) {
+    const {config, importer, parentBranch, parentRepoName, status} = opts;
+    const {invalid, pullRequests} = parsePRRefs(opts.refs);
+    const {permission = 'write'} = config.permissions.import || {};
+    const repoNames = new Set([pullRequest.repoName]);
+    const results = [];
+
+    if (invalid.length) {
+      return status.fail(lang.error_importRef(invalid[0]));
+    }
+
+    for (const {repoName} of pullRequests) {
+      if (repoNames.has(repoName)) {
+        return status.fail(lang.error_importWithSameRepo(repoName));
+      }
+
+      repoNames.add(repoName);
+    }
+
+    for (const ref of pullRequests) {
+      const refName = `${ref.repoName}#${ref.number}`;
+      let otherPR;
+      let permissionLevel;
+
+      try {
+        [otherPR, permissionLevel] = await Promise.all([
+          getPullRequestInfo(ref),
+          getPermissionLevel(ref.repoName, importer),
+        ]);
+      } catch (error) {
+        app.log.error(error);
+        return status.fail(
+          lang.error_importWith(refName, lang.error_importWithNotFound()),
         );
-        await closeIssue(pullRequest);
-        await addComment(
-          pullRequest,
-          lang.notify_importedFromChild(newPR.html_url),
+      }
+
+      if (
+        PERMISSION_LEVELS.indexOf(permissionLevel) <
+        PERMISSION_LEVELS.indexOf(permission)
+      ) {
+        return status.fail(
+          lang.error_importWith(refName, lang.error_importWithDenied()),
+        );
+      }
+
+      const result = await validatePullRequest(otherPR, {
+        command: '!import',
+        parentRepoName,
+      });
+
+      if ('error' in result) {
+        return status.fail(lang.error_importWith(refName, result.error));
+      }
+
+      if (result.parentBranch !== parentBranch) {
+        return status.fail(
+          lang.error_importWith(
+            refName,
+            lang.error_importWithBranch(parentBranch),
+          ),
         );
+      }
+
+      results.push(otherPR);
+    }
+
+    return results;
+  }
+
+  /**
+   * Close and label a landed pull request and the pull requests
+   * it was imported from
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   config: ConfigType,
+   *   landedRepos: Object<string, {sha: string}>,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function finishLand(pullRequest, {config, landedRepos, status}) {
+    const {labels} = config;
+    const isFork =
+      pullRequest.repoName !== pullRequest.headRepository.nameWithOwner;
+
+    await Promise.all([
+      // update this pull request
+      (async () => {
+        // before closing, which would otherwise close its mirrors
+        // as not landed
+        await closeMirrors(pullRequest, {landedRepos, reason: 'landed'});
+        await closeIssue(pullRequest);
+        await addLabel(pullRequest, labels.landed);
+        await status.succeed(lang.notify_landedAll(landedRepos));
 
         if (!isFork) {
           await deleteBranch(pullRequest, pullRequest.headRefName);
         }
-      } else if (command === '!land') {
-        if (payload.repository.full_name !== USYNC_PARENT_REPO) {
-          return addComment(pullRequest, lang.error_mustLandFromParent());
-        }
+      })(),
+      // update originally imported pull requests
+      ...getImportedPRs(pullRequest, config).map(async importedPR => {
+        if (!landedRepos[importedPR.repoName]) return;
 
-        if (pullRequest.title.startsWith('Release ')) {
-          await addComment(pullRequest, lang.notify_mergeRelease());
-          return mergeReleasePR(pullRequest);
-        }
+        await addLabel(importedPR, labels.landed);
+        await addComment(
+          importedPR,
+          lang.notify_landedRepo(landedRepos, importedPR.repoName),
+        );
+      }),
+    ]);
+  }
+
+  /**
+   * Record which repos a failed land reached, reverting them if
+   * configured to. Otherwise, a pull request is opened from the
+   * fallback branch of each repo that failed
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   commitMessages: {generic: string} & Object<string, string>,
+   *   config: ConfigType,
+   *   fallbackBranch: string,
+   *   heads: Object<string, string>,
+   *   lander: string,
+   *   parentBranch: string,
+   * }} opts `heads` is each repo's branch head before landing
+   * @returns {Promise<LandRecordType | void>} nothing if no repos
+   * were pushed to, in which case there's nothing to recover
+   */
+  async function recordFailedLand(pullRequest, opts) {
+    const record = await getLandOutcome(opts);
+    const outcomes = Object.entries(record.repos);
+
+    if (!outcomes.some(([, outcome]) => outcome.status === 'failed')) {
+      return;
+    }
 
-        const releasePR = await findOpenReleasePR(context);
-        let importedPR;
+    if (opts.config.land.revertOnFailure) {
+      await Promise.all(
+        outcomes.map(async ([repoName, outcome]) => {
+          if (outcome.status !== 'landed') return;
 
-        if (releasePR) {
-          return addComment(
+          try {
+            outcome.revertSha = await revertRepo(repoName, outcome);
+            outcome.status = 'reverted';
+          } catch (error) {
+            app.log.error(error);
+          }
+        }),
+      );
+
+      // fully rolled back, so the fallback branches are no longer
+      // needed and the pull request can simply be landed again
+      if (!outcomes.some(([, outcome]) => outcome.status === 'landed')) {
+        await Promise.all(
+          outcomes.map(async ([repoName, outcome]) => {
+            if (outcome.status !== 'failed') return;
+
+            await deleteBranch({repoName}, record.fallbackBranch);
+            outcome.status = 'skipped';
+            delete outcome.sha;
+          }),
+        );
+      }
+    }
+
+    await Promise.all(
+      outcomes.map(async ([repoName, outcome]) => {
+        if (outcome.status !== 'failed') return;
+
+        try {
+          outcome.fallbackPR = await openFallbackPR(repoName, {
+            branch: outcome.branch,
+            fallbackBranch: record.fallbackBranch,
+            lander: opts.lander,
+            message:
+              opts.commitMessages[repoName] || opts.commitMessages.generic,
             pullRequest,
-            lang.error_noLandDuringRelease(releasePR.url),
-          );
+          });
+        } catch (error) {
+          // `!retry-land` still works without it
+          app.log.error(error);
         }
+      }),
+    );
+
+    // nothing left to recover once everything was rolled back
+    await landRecords.set(
+      pullRequest,
+      outcomes.some(([, outcome]) => outcome.status === 'failed')
+        ? record
+        : undefined,
+    );
+    return record;
+  }
+
+  /**
+   * Label and post a notice on the parent and imported pull
+   * requests, since breakglass skips review and status checks
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {ConfigType} config
+   * @param {BreakglassType} breakglass
+   * @returns {Promise<void>}
+   */
+  async function announceBreakglass(pullRequest, config, breakglass) {
+    const importedPRs = getImportedPRs(pullRequest, config);
+
+    await Promise.all(
+      [pullRequest, ...importedPRs].map(async issue => {
+        await addLabel(issue, config.labels.breakglass);
+        await addComment(
+          issue,
+          lang.notify_breakglass({...breakglass, pullRequest}),
+        );
+      }),
+    );
+  }
+
+  /**
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   breakglass?: BreakglassType,
+   *   config: ConfigType,
+   *   lander: string,
+   *   parentBranch: string,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function landPullRequest(pullRequest, opts) {
+    const {breakglass, config, lander, parentBranch, status} = opts;
+    const {repoName: parentRepoName} = pullRequest;
+    const commitMessages = generateCommitMessages(
+      pullRequest,
+      getImportedPRs(pullRequest, config),
+    );
+    const fallbackBranch = `${config.branchPrefixes.land}${pullRequest.number}`;
+    let landedRepos = {};
+    // only lands that got as far as pushing or merging are audited
+    let isAttempted = false;
+
+    await status.startCheck('land', pullRequest.headRefOid);
+
+    try {
+      if (breakglass) {
+        await announceBreakglass(pullRequest, config, breakglass);
+      }
+
+      if (isReleasePR(pullRequest, config.release)) {
+        const commit = getReleaseCommit(pullRequest, config.release);
+        const key = getIssueKey(pullRequest);
+        const baseSha = await getBranchSha(parentRepoName, parentBranch);
+        let res;
 
-        if (!isFork && pullRequest.headRefName.startsWith('imports/')) {
-          const [, owner, repo, number] = pullRequest.headRefName.split('/');
+        await status.update(lang.notify_mergeRelease());
+        landingReleases.add(key);
+        isAttempted = true;
 
-          importedPR = {
-            repoName: `${owner}/${repo}`,
-            number: parseInt(number),
-          };
+        try {
+          res = await mergePullRequest(pullRequest, {
+            commit_message: commit.message,
+            commit_title: commit.title,
+            merge_method: config.release.mergeMethod,
+          });
+        } catch (error) {
+          landingReleases.delete(key);
+          throw error;
         }
 
-        const landedRepos = await sync.land({
-          commitMessages: generateCommitMessages(pullRequest, importedPR),
-          fallbackBranch: `land/${pullRequest.number}`,
+        // landed here rather than by the `pull_request.closed`
+        // webhook, so lands queued behind it wait for it
+        await finishRelease(
+          {...pullRequest, baseSha, mergeSha: res.data.sha},
+          config,
+        );
+        await status.succeed();
+        return;
+      }
+
+      // its child repo already has the change
+      if (getPushedRepo(pullRequest, config)) {
+        await status.update(lang.notify_mergePushed());
+        isAttempted = true;
+        await mergePullRequest(pullRequest, {
+          commit_message: pullRequest.url,
+          commit_title: `${pullRequest.title} (#${pullRequest.number})`,
+          merge_method: 'squash',
+        });
+        await status.succeed();
+        return;
+      }
+
+      // fail before anything is pushed rather than partway through
+      await status.update(lang.notify_checkingRepos());
+
+      const blockers = await getLandBlockers(pullRequest, {
+        config,
+        parentBranch,
+        sync: getSync(parentRepoName),
+      });
+
+      if (blockers.length) {
+        return status.fail(lang.error_landBlocked(blockers));
+      }
+
+      await status.update(lang.notify_landing());
+
+      const heads = await getLandHeads(pullRequest, {config, parentBranch});
+
+      isAttempted = true;
+
+      try {
+        landedRepos = await getSync(parentRepoName).land({
+          branches: config.branches[parentBranch],
+          commitMessages,
+          fallbackBranch,
           headRepoName: pullRequest.headRepository.nameWithOwner,
           headBranch: pullRequest.headRefName,
+          parentBranch,
+        });
+      } catch (error) {
+        const record = await recordFailedLand(pullRequest, {
+          commitMessages,
+          config,
+          fallbackBranch,
+          heads,
+          lander,
+          parentBranch,
         });
 
-        await Promise.all([
-          // update this pull request
-          (async () => {
-            await closeIssue(pullRequest);
-            await addLabel(pullRequest, 'Landed');
-            await addComment(pullRequest, lang.notify_landedAll(landedRepos));
+        if (!record) throw error;
 
-            if (!isFork) {
-              await deleteBranch(pullRequest, pullRequest.headRefName);
-            }
-          })(),
-          // update originally imported pull request
-          (async () => {
-            if (!importedPR || !landedRepos[importedPR.repoName]) {
-              return;
-            }
+        for (const [repoName, outcome] of Object.entries(record.repos)) {
+          if (outcome.status === 'landed') {
+            landedRepos[repoName] = {sha: outcome.sha};
+          }
+        }
 
-            await addLabel(importedPR, 'Landed');
-            await addComment(
-              importedPR,
-              lang.notify_landedRepo(landedRepos, importedPR.repoName),
-            );
-          })(),
-        ]);
+        app.log.error(error);
+        return status.fail(lang.error_landIncomplete(record));
       }
+
+      // completed, so any record of an earlier incomplete land is stale
+      await landRecords.set(pullRequest, undefined);
+      await finishLand(pullRequest, {config, landedRepos, status});
     } catch (error) {
-      await addComment(pullRequest, lang.error_SyncError(commandName, error));
+      await status.fail(lang.error_SyncError('land', error));
       throw error;
+    } finally {
+      if (breakglass && isAttempted) {
+        await appendJSONLine(BREAKGLASS_LOG_PATH, {
+          actor: breakglass.actor,
+          date: new Date().toISOString(),
+          landedRepos,
+          pullRequest: `${parentRepoName}#${pullRequest.number}`,
+          reason: breakglass.reason,
+        }).catch(error => app.log.error(error));
+      }
     }
-  });
+  }
+
+  /**
+   * Finish an incomplete land by landing the change uSync pushed to
+   * the fallback branch of each repo that failed
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   config: ConfigType,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function retryLand(pullRequest, {config, status}) {
+    const record = await landRecords.get(pullRequest);
+    const failedRepos = record
+      ? Object.keys(record.repos).filter(
+          repoName => record.repos[repoName].status === 'failed',
+        )
+      : [];
+
+    if (!failedRepos.length) {
+      return status.fail(lang.error_nothingToRetry());
+    }
+
+    await status.startCheck('land', pullRequest.headRefOid);
+    await status.update(lang.notify_retryingLand(failedRepos));
+
+    try {
+      // don't interleave with lands and imports of the same parent
+      await getSync(pullRequest.repoName).queue.add(() =>
+        Promise.all(
+          failedRepos.map(async repoName => {
+            const outcome = record.repos[repoName];
+
+            try {
+              outcome.sha = await retryRepo(repoName, {
+                branch: outcome.branch,
+                fallbackBranch: record.fallbackBranch,
+              });
+              outcome.status = 'landed';
+            } catch (error) {
+              app.log.error(error);
+            }
+          }),
+        ),
+      );
+      if (
+        failedRepos.some(repoName => record.repos[repoName].status === 'failed')
+      ) {
+        await landRecords.set(pullRequest, record);
+        return status.fail(lang.error_landIncomplete(record));
+      }
+
+      await landRecords.set(pullRequest, undefined);
+
+      await finishLand(pullRequest, {
+        config,
+        landedRepos: getLandedRepos(record),
+        status,
+      });
+    } catch (error) {
+      await status.fail(lang.error_SyncError('land', error));
+      throw error;
+    }
+  }
+
+  /**
+   * Re-check and land a pull request once it reaches the
+   * front of the land queue
+   *
+   * @param {import('./LandQueue.js').QueueEntry} entry
+   * @returns {Promise<void>}
+   */
+  async function landQueued(entry) {
+    const {number, repoName} = entry;
+    const pullRequest = await getPullRequestInfo({number, repoName});
+    // continues the queue's position comment
+    const status = createStatus(entry);
+
+    // closed or landed while queued
+    if (pullRequest.state !== 'OPEN') {
+      return status.fail();
+    }
+
+    const result = await checkPullRequest(pullRequest, {
+      command: '!land',
+      parentRepoName: repoName,
+      skipChecks: Boolean(entry.breakglass),
+      status,
+    });
+
+    if (result && !isReleasePR(pullRequest, result.config.release)) {
+      const blocker = await getReleaseBlocker(repoName, result.config);
+
+      if (blocker) {
+        return blockLand(entry, blocker, status);
+      }
+    }
+
+    if (result) {
+      await landPullRequest(pullRequest, {
+        ...result,
+        breakglass: entry.breakglass,
+        lander: entry.lander,
+        status,
+      });
+      // landing updates the base branch, which can make pull
+      // requests waiting to land conflict
+      checkAutoLands(repoName, () => true).catch(error => app.log.error(error));
+    }
+  }
+
+  /**
+   * Lands wait while landing is frozen or a release pull request
+   * is open, since they'd otherwise end up in the release
+   *
+   * @param {string} parentRepoName
+   * @param {ConfigType} config
+   * @returns {Promise<ReleaseBlockerType | void>}
+   */
+  async function getReleaseBlocker(parentRepoName, config) {
+    const state = await releases.get(parentRepoName);
+
+    if (state && state.freeze) {
+      return {...state.freeze, type: 'freeze'};
+    }
+
+    const releasePR = await findOpenReleasePR(parentRepoName, config.release);
+
+    if (releasePR) {
+      return {type: 'releasePR', url: releasePR.url};
+    }
+  }
+
+  /**
+   * Set aside a queued land until the release is done
+   *
+   * @param {QueueEntry} entry
+   * @param {ReleaseBlockerType} blocker
+   * @param {CommandStatus} status
+   * @returns {Promise<void>}
+   */
+  async function blockLand(entry, blocker, status) {
+    await status.update(lang.notify_landBlockedByRelease(blocker));
+
+    const state = (await releases.get(entry.repoName)) || {blockedLands: []};
+
+    if (!state.blockedLands.some(blocked => blocked.number === entry.number)) {
+      state.blockedLands.push({
+        ...entry,
+        statusCommentId: status.statusCommentId,
+      });
+    }
+
+    await releases.set(entry.repoName, state);
+  }
+
+  /**
+   * Queue the lands that were waiting for the release, in the order
+   * they were blocked, unless a release is still in progress
+   *
+   * @param {string} parentRepoName
+   * @returns {Promise<number>} number of lands queued
+   */
+  async function resumeBlockedLands(parentRepoName) {
+    const state = await releases.get(parentRepoName);
+
+    if (!state || !state.blockedLands.length || state.freeze) return 0;
+
+    const config = await loadConfig(parentRepoName);
+
+    if (await findOpenReleasePR(parentRepoName, config.release)) return 0;
+
+    const {blockedLands} = state;
+
+    await releases.set(parentRepoName, undefined);
+
+    for (const entry of blockedLands) {
+      await landQueue.add(entry);
+    }
+
+    return blockedLands.length;
+  }
+
+  /**
+   * Tag the child repos a merged release changed the version of,
+   * then resume the lands waiting for it. Resuming them any sooner
+   * could move the child branches on before they're tagged
+   *
+   * @param {{
+   *   baseRefName: string,
+   *   baseSha: string,
+   *   mergeSha: string,
+   *   number: number,
+   *   repoName: string,
+   * }} releasePR merged release pull request. `baseSha` is the
+   * commit it was merged onto
+   * @param {ConfigType} config
+   * @returns {Promise<void>}
+   */
+  async function finishRelease(releasePR, config) {
+    try {
+      if (config.release.syncTags) {
+        await syncChildReleases(releasePR, config);
+      }
+    } finally {
+      await resumeBlockedLands(releasePR.repoName);
+    }
+  }
+
+  /**
+   * Tag and create a GitHub Release in each child repo whose
+   * package version a merged release changed, once uSync has landed
+   * that version to the child's synced branch
+   *
+   * @param {{
+   *   baseRefName: string,
+   *   baseSha: string,
+   *   mergeSha: string,
+   *   number: number,
+   *   repoName: string,
+   * }} releasePR merged release pull request
+   * @param {ConfigType} config
+   * @returns {Promise<void>}
+   */
+  async function syncChildReleases(releasePR, config) {
+    const {baseRefName, number, repoName} = releasePR;
+    const childVersions = await getChildVersionChanges(
+      releasePR,
+      config.release,
+    );
+
+    if (!childVersions.length) return;
+
+    const results = await Promise.all(
+      childVersions.map(async childVersion => {
+        const branch = getChildBranch(
+          config,
+          baseRefName,
+          childVersion.repoName,
+        );
+
+        try {
+          const sha = await getLandedVersionSha(childVersion, branch);
+
+          if (!sha) {
+            return {...childVersion, branch, notLanded: true};
+          }
+
+          const release = await createChildRelease(childVersion, sha);
+
+          return {...childVersion, release};
+        } catch (error) {
+          app.log.error(error);
+          return {...childVersion, error};
+        }
+      }),
+    );
+
+    await addComment({number, repoName}, lang.notify_childReleases(results));
+  }
+
+  /**
+   * Wait to queue `pullRequest` until every `!land` check passes
+   *
+   * @param {PullRequestInfo} pullRequest parent pull request
+   * @param {{
+   *   config: ConfigType,
+   *   labeled: boolean,
+   *   lander: string,
+   *   status: CommandStatus,
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function startAutoLand(pullRequest, opts) {
+    const {config, labeled, lander, status} = opts;
+    /** @type {AutoLandEntry} */
+    const entry = {
+      // `author` is null for deleted accounts
+      author: pullRequest.author ? pullRequest.author.login : lander,
+      commentId: status.commentId,
+      headSha: pullRequest.headRefOid,
+      label: config.labels.autoLand,
+      labeled,
+      lander,
+      number: pullRequest.number,
+      repoName: pullRequest.repoName,
+    };
+
+    await status.update(lang.notify_autoLandArmed());
+    entry.statusCommentId = status.statusCommentId;
+    await autoLands.set(getIssueKey(entry), entry);
+    await checkAutoLand(getIssueKey(entry));
+  }
+
+  /**
+   * @param {AutoLandEntry} entry
+   * @param {'conflict' | 'dequeued' | 'pushed' | 'unlabeled'} reason
+   * @returns {Promise<void>}
+   */
+  async function cancelAutoLand(entry, reason) {
+    await autoLands.set(getIssueKey(entry), undefined);
+    await createStatus(entry).fail(
+      lang.notify_autoLandCancelled({...entry, reason}),
+    );
+
+    if (entry.labeled && reason !== 'unlabeled') {
+      await removeLabel(entry, entry.label).catch(error =>
+        app.log.error(error),
+      );
+    }
+  }
+
+  /**
+   * Queue an auto-land if it's ready to land. Checks that aren't
+   * passing yet are retried on the next review, check suite or
+   * status webhook, but new commits and conflicts cancel it
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async function checkAutoLand(key) {
+    if (autoLandChecks.has(key)) {
+      autoLandChecks.set(key, true);
+      return;
+    }
+
+    try {
+      do {
+        autoLandChecks.set(key, false);
+
+        const entry = await autoLands.get(key);
+
+        // cancelled or already queued
+        if (!entry) return;
+
+        const pullRequest = await getPullRequestInfo(entry);
+
+        if (pullRequest.state !== 'OPEN') {
+          await autoLands.set(key, undefined);
+        } else if (pullRequest.headRefOid !== entry.headSha) {
+          await cancelAutoLand(entry, 'pushed');
+        } else if (pullRequest.mergeable === 'CONFLICTING') {
+          await cancelAutoLand(entry, 'conflict');
+        } else {
+          const result = await validatePullRequest(pullRequest, {
+            command: '!land',
+            parentRepoName: entry.repoName,
+          });
+
+          if (!('error' in result)) {
+            await autoLands.set(key, undefined);
+            await landQueue.add({
+              commentId: entry.commentId,
+              lander: entry.lander,
+              number: entry.number,
+              repoName: entry.repoName,
+              statusCommentId: entry.statusCommentId,
+            });
+          }
+        }
+      } while (autoLandChecks.get(key));
+    } finally {
+      autoLandChecks.delete(key);
+    }
+  }
+
+  /**
+   * @param {string} repoName
+   * @param {(entry: AutoLandEntry) => boolean} filter
+   * @returns {Promise<void>}
+   */
+  async function checkAutoLands(repoName, filter) {
+    const entries = (await autoLands.values()).filter(
+      entry => entry.repoName === repoName && filter(entry),
+    );
+
+    await Promise.all(entries.map(entry => checkAutoLand(getIssueKey(entry))));
+  }
+
+  /**
+   * Update the drift issue of each configured parent repo
+   *
+   * @returns {Promise<void>}
+   */
+  async function checkDrift() {
+    for (const parentRepoName of CONFIGURED_PARENT_REPOS) {
+      try {
+        const config = await loadConfig(parentRepoName);
+
+        await updateDriftIssue(
+          parentRepoName,
+          await getDriftReport(parentRepoName, config),
+          config,
+        );
+      } catch (error) {
+        // keep checking the other repos
+        app.log.error(error);
+      }
+    }
+  }
+
+  /**
+   * Run `update` after any pending update to the same pull
+   * request's mirrors
+   *
+   * @param {string} key
+   * @param {() => Promise<void>} update
+   * @returns {Promise<void>}
+   */
+  async function queueMirrorUpdate(key, update) {
+    const previous = mirrorUpdates.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(update);
+    const cleanup = () => {
+      if (mirrorUpdates.get(key) === next) mirrorUpdates.delete(key);
+    };
+
+    mirrorUpdates.set(key, next);
+    next.then(cleanup, cleanup);
+
+    return next;
+  }
+
+  /**
+   * Create or update mirrors of a parent pull request in the child
+   * repos it changes
+   *
+   * @param {PullRequestOpt} issue parent pull request
+   * @param {ConfigType} config
+   * @returns {Promise<void>}
+   */
+  async function syncMirrors(issue, config) {
+    const key = getIssueKey(issue);
+
+    await queueMirrorUpdate(key, async () => {
+      // fetched once it's this update's turn, so it's the latest
+      const pullRequest = await getPullRequestInfo(issue);
+      const parentBranch = pullRequest.baseRefName;
+
+      if (pullRequest.state !== 'OPEN' || !(parentBranch in config.branches)) {
+        return;
+      }
+
+      await mirrors.set(
+        key,
+        await updateMirrors(pullRequest, {
+          config,
+          mirrors: (await mirrors.get(key)) || {},
+          parentBranch,
+          // they already have the change
+          skipRepos: [
+            ...getImportedPRs(pullRequest, config).map(
+              ({repoName}) => repoName,
+            ),
+            getPushedRepo(pullRequest, config),
+          ].filter(Boolean),
+        }),
+      );
+    });
+  }
+
+  /**
+   * @param {{
+   *   number: number,
+   *   repoName: string,
+   *   url: string,
+   * }} pullRequest parent pull request
+   * @param {{
+   *   landedRepos?: Object<string, {sha: string}>,
+   *   reason: 'closed' | 'landed',
+   * }} opts
+   * @returns {Promise<void>}
+   */
+  async function closeMirrors(pullRequest, {landedRepos = {}, reason}) {
+    const key = getIssueKey(pullRequest);
+
+    await queueMirrorUpdate(key, async () => {
+      const record = await mirrors.get(key);
+
+      if (!record) return;
+
+      await mirrors.set(key, undefined);
+      await Promise.all(
+        Object.values(record).map(mirror => {
+          const landed = landedRepos[mirror.repoName];
+
+          return closeMirror(
+            mirror,
+            lang.notify_mirrorClosed({
+              commitUrl:
+                landed &&
+                `https://github.com/${mirror.repoName}/commit/${landed.sha}`,
+              parentPR: pullRequest,
+              reason,
+            }),
+          );
+        }),
+      );
+    });
+  }
+
+  /**
+   * Report what landing `pullRequest` would do
+   *
+   * @param {PullRequestInfo} pullRequest
+   * @param {string | void} parentRepoName
+   * @param {CommandStatus} status
+   * @returns {Promise<void>}
+   */
+  async function previewLand(pullRequest, parentRepoName, status) {
+    if (pullRequest.repoName !== parentRepoName) {
+      return status.fail(lang.error_mustPreviewFromParent());
+    }
+
+    const config = await getConfig(status, 'preview', parentRepoName);
+
+    if (!config) return;
+
+    try {
+      const preview = await getLandPreview(pullRequest, {
+        commitMessages: generateCommitMessages(
+          pullRequest,
+          getImportedPRs(pullRequest, config),
+        ),
+        fallbackBranch: `${config.branchPrefixes.land}${pullRequest.number}`,
+      });
+
+      await status.succeed(lang.notify_landPreview(preview));
+    } catch (error) {
+      await status.fail(lang.error_SyncError('preview', error));
+      throw error;
+    }
+  }
+
+  /**
+   * Requirements for running a command, from the parent repo's
+   * `permissions` config and falling back to `defaults`
+   *
+   * @param {RequirementsType} defaults
+   * @returns {(context: *, command: CommandType) => Promise<RequirementsType>}
+   */
+  function getRequirements(defaults) {
+    return async (context, {command}) => {
+      const parentRepoName = await findParentRepo(context);
+      let permissions = {};
+
+      if (parentRepoName) {
+        try {
+          permissions = (await loadConfig(parentRepoName)).permissions;
+        } catch (error) {
+          // reported by the command itself
+          if (!(error instanceof ConfigError)) throw error;
+        }
+      }
+
+      return {...defaults, ...permissions[command.slice(1)]};
+    };
+  }
+
+  /**
+   * @param {*} context
+   * @returns {Promise<boolean>}
+   */
+  async function isParentRepo(context) {
+    const parentRepoName = await findParentRepo(context);
+    return parentRepoName === context.payload.repository.full_name;
+  }
+
+  /**
+   * @param {*} context
+   * @returns {Promise<boolean>}
+   */
+  async function isChildRepo(context) {
+    const parentRepoName = await findParentRepo(context);
+
+    return (
+      Boolean(parentRepoName) &&
+      parentRepoName !== context.payload.repository.full_name
+    );
+  }
+
+  /**
+   * Breakglass is limited to `breakglass.teams`, or the parent
+   * repo's admins if no teams are configured
+   *
+   * @param {ConfigType} config
+   * @param {string} parentRepoName
+   * @param {string} username
+   * @returns {Promise<boolean>}
+   */
+  async function canBreakglass(config, parentRepoName, username) {
+    const {teams} = config.breakglass;
+
+    if (!teams.length) {
+      return (await getPermissionLevel(parentRepoName, username)) === 'admin';
+    }
+
+    const memberships = await Promise.all(
+      teams.map(team => isTeamMember(team, username)),
+    );
+
+    return memberships.some(Boolean);
+  }
+
+  /**
+   * Handles `!import`, `!land` and `!merge`
+   *
+   * @param {*} context
+   * @param {CommandType} command
+   * @returns {Promise<void>}
+   */
+  async function handleSyncCommand(context, {args, command, flags}) {
+    const {payload} = context;
+    const status = createStatus({
+      commentId: payload.comment.id,
+      number: payload.issue.number,
+      repoName: payload.repository.full_name,
+    });
+
+    await status.received();
+
+    const pullRequest = await getPullRequestInfo({
+      number: payload.issue.number,
+      repoName: payload.repository.full_name,
+    });
+    const commenter = payload.comment.user.login;
+    const parentRepoName = await findParentRepo(context);
+    const isParent = pullRequest.repoName === parentRepoName;
+
+    if (command === '!land' && flags['dry-run']) {
+      return previewLand(pullRequest, parentRepoName, status);
+    }
+
+    if (command === '!merge') {
+      const suggestedCommand = isParent ? '!land' : '!import';
+
+      return status.fail(lang.error_mergeCommandNotSupported(suggestedCommand));
+    }
+
+    const useBreakglass = command === '!land' && Boolean(flags.breakglass);
+    const result = await checkPullRequest(pullRequest, {
+      command,
+      parentRepoName,
+      // `--when-ready` only needs what waiting can't fix to pass
+      skipChecks: useBreakglass || Boolean(flags['when-ready']),
+      status,
+    });
+
+    if (!result) return;
+
+    if (command === '!import') {
+      if (isParent) {
+        return status.fail(lang.error_noImportFromParent());
+      }
+
+      const isMirror =
+        pullRequest.headRepository.nameWithOwner === pullRequest.repoName &&
+        pullRequest.headRefName.startsWith(result.config.branchPrefixes.mirror);
+
+      if (isMirror) {
+        return status.fail(lang.error_mirrorReadOnly());
+      }
+
+      let otherPRs = [];
+
+      if (flags.with) {
+        otherPRs = await getPRsToImportWith(pullRequest, {
+          ...result,
+          importer: commenter,
+          parentRepoName,
+          refs: [
+            ...(typeof flags.with === 'string' ? flags.with.split(',') : []),
+            ...args,
+          ]
+            .map(ref => ref.trim())
+            .filter(Boolean),
+          status,
+        });
+
+        if (!otherPRs) return;
+      }
+
+      return importPullRequests([pullRequest, ...otherPRs], {
+        ...result,
+        importer: commenter,
+        parentRepoName,
+        status,
+      });
+    } else if (command === '!land') {
+      if (!isParent) {
+        return status.fail(lang.error_mustLandFromParent());
+      }
+
+      let breakglass;
+
+      if (useBreakglass) {
+        const reason = (typeof flags.breakglass === 'string'
+          ? flags.breakglass
+          : args.join(' ')
+        ).trim();
+        const {teams} = result.config.breakglass;
+
+        if (!reason) {
+          return status.fail(lang.error_breakglassReason());
+        }
+
+        if (!(await canBreakglass(result.config, parentRepoName, commenter))) {
+          return status.fail(lang.error_breakglassDenied(teams));
+        }
+
+        breakglass = {actor: commenter, reason};
+      }
+
+      if (flags['when-ready'] && !breakglass) {
+        return startAutoLand(pullRequest, {
+          config: result.config,
+          labeled: false,
+          lander: commenter,
+          status,
+        });
+      }
+
+      // the queue posts its position comment as the status comment,
+      // which `landQueued` then keeps updating
+      await landQueue.add({
+        breakglass,
+        commentId: payload.comment.id,
+        lander: commenter,
+        number: pullRequest.number,
+        repoName: pullRequest.repoName,
+      });
+    }
+  }
+
+  watchParents(app);
+  landQueue.resume().catch(error => app.log.error(error));
+
+  if (DRIFT_INTERVAL) {
+    if (!CONFIGURED_PARENT_REPOS.length) {
+      app.log.warn('USYNC_DRIFT_INTERVAL requires USYNC_PARENT_REPOS');
+    }
+
+    setInterval(checkDrift, DRIFT_INTERVAL * 60 * 60 * 1000).unref();
+  }
+
+  // a review, check suite or status may be the last thing an
+  // auto-land was waiting for
+  app.on('pull_request_review.submitted', async context => {
+    const {payload} = context;
+
+    await checkAutoLands(
+      payload.repository.full_name,
+      entry => entry.number === payload.pull_request.number,
+    );
+  });
+
+  app.on('check_suite.completed', async context => {
+    const {payload} = context;
+
+    await checkAutoLands(
+      payload.repository.full_name,
+      entry => entry.headSha === payload.check_suite.head_sha,
+    );
+  });
+
+  app.on('status', async context => {
+    const {payload} = context;
+
+    await checkAutoLands(
+      payload.repository.full_name,
+      entry => entry.headSha === payload.sha,
+    );
+  });
+
+  // new commits on the kept head branch of an imported child pull
+  // request, which is closed so gets no `pull_request.synchronize`
+  app.on('push', async context => {
+    const {payload} = context;
+    const repoName = payload.repository.full_name;
+
+    if (!payload.ref.startsWith('refs/heads/') || payload.deleted) return;
+
+    const branch = payload.ref.slice('refs/heads/'.length);
+    // parent pull request key -> record, since several imported pull
+    // requests can share one
+    const records = new Map();
+
+    for (const record of await imports.values()) {
+      if (record.headRepoName === repoName && record.headRefName === branch) {
+        records.set(
+          getIssueKey({
+            number: record.parentNumber,
+            repoName: record.parentRepoName,
+          }),
+          record,
+        );
+      }
+    }
+
+    for (const record of records.values()) {
+      await autoReimport(record);
+    }
+  });
+
+  /**
+   * Re-import into the parent pull request `record` was imported
+   * into if `import.autoReimport` is enabled and it's still open
+   *
+   * @param {ImportRecordType} record
+   * @returns {Promise<void>}
+   */
+  async function autoReimport(record) {
+    let config;
+
+    try {
+      config = await loadConfig(record.parentRepoName);
+    } catch (error) {
+      // reported by commands instead
+      if (error instanceof ConfigError) return;
+      throw error;
+    }
+
+    if (!config.import.autoReimport) return;
+
+    const parentPR = await getPullRequestInfo({
+      number: record.parentNumber,
+      repoName: record.parentRepoName,
+    });
+
+    if (parentPR.state === 'OPEN') {
+      await reimportPullRequest(parentPR, {
+        config,
+        status: createStatus({
+          number: parentPR.number,
+          repoName: parentPR.repoName,
+        }),
+      });
+    }
+  }
+
+  app.on('pull_request.synchronize', async context => {
+    const entry = await autoLands.get(
+      getIssueKey({
+        number: context.payload.pull_request.number,
+        repoName: context.payload.repository.full_name,
+      }),
+    );
+
+    if (entry) {
+      await cancelAutoLand(entry, 'pushed');
+    }
+  });
+
+  app.on(
+    [
+      'pull_request.opened',
+      'pull_request.reopened',
+      'pull_request.synchronize',
+    ],
+    async context => {
+      const {payload} = context;
+      const repoName = payload.repository.full_name;
+
+      if (!(await isParentRepo(context))) return;
+
+      let config;
+
+      try {
+        config = await loadConfig(repoName);
+      } catch (error) {
+        // reported by commands instead
+        if (error instanceof ConfigError) return;
+        throw error;
+      }
+
+      if (config.mirror.enabled) {
+        await syncMirrors(
+          {number: payload.pull_request.number, repoName},
+          config,
+        );
+      }
+    },
+  );
+
+  // commits pushed to a synced child branch by anyone but uSync
+  app.on('push', async context => {
+    const {payload} = context;
+    const repoName = payload.repository.full_name;
+    const isBranch = payload.ref.startsWith('refs/heads/');
+
+    if (!isBranch || payload.created || payload.deleted) return;
+    if (!(await isChildRepo(context))) return;
+    if ((await getSyncLogins()).includes(payload.sender.login)) return;
+
+    const parentRepoName = await findParentRepo(context);
+    let config;
+
+    try {
+      config = await loadConfig(parentRepoName);
+    } catch (error) {
+      // reported by commands instead
+      if (error instanceof ConfigError) return;
+      throw error;
+    }
+
+    const branch = payload.ref.slice('refs/heads/'.length);
+    const parentBranch = getParentBranch(config, repoName, branch);
+
+    if (config.pushes.action === 'ignore' || !parentBranch) return;
+
+    const push = {
+      after: payload.after,
+      before: payload.before,
+      branch,
+      commits: payload.commits,
+      compareUrl: payload.compare,
+      pusher: payload.sender.login,
+      repoName,
+    };
+
+    // e.g. a fallback pull request merged by hand
+    if (isLandedPush(push, await landRecords.values())) return;
+
+    const opts = {config, parentBranch, parentRepoName};
+    const changes = await getSyncedPushChanges(push, opts);
+
+    if (!changes.length) return;
+
+    if (config.pushes.action === 'import') {
+      await importPush(push, {...opts, sync: getSync(parentRepoName)});
+    } else {
+      await reportPush(push, {...opts, changes});
+    }
+  });
+
+  // merging a fallback pull request lands its repo, which may be
+  // the last one an incomplete land was waiting for
+  app.on('pull_request.closed', async context => {
+    const {payload} = context;
+    const {pull_request: fallbackPR} = payload;
+    const repoName = payload.repository.full_name;
+
+    if (!fallbackPR.merged) return;
+
+    const parentRepoName = await findParentRepo(context);
+
+    if (!parentRepoName) return;
+
+    let config;
+
+    try {
+      config = await loadConfig(parentRepoName);
+    } catch (error) {
+      // reported by commands instead
+      if (error instanceof ConfigError) return;
+      throw error;
+    }
+
+    const landPrefix = config.branchPrefixes.land;
+    const headRef = fallbackPR.head.ref;
+
+    if (!headRef.startsWith(landPrefix)) return;
+
+    const issue = {
+      number: parseInt(headRef.slice(landPrefix.length)),
+      repoName: parentRepoName,
+    };
+
+    // don't interleave with `!retry-land`
+    await getSync(parentRepoName).queue.add(async () => {
+      const record = await landRecords.get(issue);
+      const outcome = record && record.repos[repoName];
+      const isFallbackPR =
+        outcome &&
+        outcome.status === 'failed' &&
+        outcome.fallbackPR &&
+        outcome.fallbackPR.number === fallbackPR.number;
+
+      if (!isFallbackPR) return;
+
+      outcome.sha = fallbackPR.merge_commit_sha;
+      outcome.status = 'landed';
+
+      try {
+        await deleteBranch({repoName}, headRef);
+      } catch (error) {
+        // already deleted when merged
+        if (error.status !== 422) throw error;
+      }
+
+      const isComplete = Object.values(record.repos).every(
+        ({status}) => status !== 'failed',
+      );
+
+      await landRecords.set(issue, isComplete ? undefined : record);
+
+      const pullRequest = await getPullRequestInfo(issue);
+
+      if (isComplete && pullRequest.state === 'OPEN') {
+        await finishLand(pullRequest, {
+          config,
+          landedRepos: getLandedRepos(record),
+          status: createStatus(issue),
+        });
+      }
+    });
+  });
+
+  // pull requests landed via `!land` close their mirrors first
+  app.on('pull_request.closed', async context => {
+    const {pull_request: pullRequest, repository} = context.payload;
+
+    await closeMirrors(
+      {
+        number: pullRequest.number,
+        repoName: repository.full_name,
+        url: pullRequest.html_url,
+      },
+      {reason: pullRequest.merged ? 'landed' : 'closed'},
+    );
+  });
+
+  app.on('pull_request.closed', async context => {
+    const issue = {
+      number: context.payload.pull_request.number,
+      repoName: context.payload.repository.full_name,
+    };
+
+    await autoLands.set(getIssueKey(issue), undefined);
+    // an incomplete land can't be retried once closed
+    await landRecords.set(issue, undefined);
+
+    // nor can the child pull requests imported into it be reimported
+    for (const [key, record] of await imports.entries()) {
+      if (
+        record.parentRepoName === issue.repoName &&
+        record.parentNumber === issue.number
+      ) {
+        await imports.set(key, undefined);
+      }
+    }
+  });
+
+  // closing the release pull request, or removing its label, may
+  // end the release. Merged releases resume once they're landed
+  app.on(['pull_request.closed', 'pull_request.unlabeled'], async context => {
+    const {payload} = context;
+    const repoName = payload.repository.full_name;
+
+    try {
+      if (
+        payload.pull_request.merged &&
+        (await isParentRepo(context)) &&
+        isMergedRelease(payload.pull_request, await loadConfig(repoName))
+      ) {
+        return;
+      }
+
+      await resumeBlockedLands(repoName);
+    } catch (error) {
+      // reported by commands instead
+      if (!(error instanceof ConfigError)) throw error;
+    }
+  });
+
+  // releases merged without `!land`
+  app.on('pull_request.closed', async context => {
+    const {payload} = context;
+    const {pull_request: pullRequest} = payload;
+    const repoName = payload.repository.full_name;
+
+    if (!pullRequest.merged || !(await isParentRepo(context))) return;
+
+    let config;
+
+    try {
+      config = await loadConfig(repoName);
+    } catch (error) {
+      // reported by commands instead
+      if (error instanceof ConfigError) return;
+      throw error;
+    }
+
+    const key = getIssueKey({number: pullRequest.number, repoName});
+
+    if (!isMergedRelease(pullRequest, config) || landingReleases.delete(key)) {
+      return;
+    }
+
+    await finishRelease(
+      {
+        baseRefName: pullRequest.base.ref,
+        baseSha: pullRequest.base.sha,
+        mergeSha: pullRequest.merge_commit_sha,
+        number: pullRequest.number,
+        repoName,
+      },
+      config,
+    );
+  });
+
+  app.on('pull_request.labeled', async context => {
+    const {payload} = context;
+    const repoName = payload.repository.full_name;
+
+    if (payload.sender.type !== 'User' || !(await isParentRepo(context))) {
+      return;
+    }
+
+    let config;
+
+    try {
+      config = await loadConfig(repoName);
+    } catch (error) {
+      // reported by commands instead
+      if (error instanceof ConfigError) return;
+      throw error;
+    }
+
+    if (payload.label.name !== config.labels.autoLand) return;
+
+    const issue = {number: payload.pull_request.number, repoName};
+    const status = createStatus(issue);
+    // labeling requires less access than landing
+    const denial = await commands.checkRequirements(
+      context,
+      await getRequirements({permission: 'write'})(context, {
+        args: [],
+        command: '!land',
+        flags: {},
+      }),
+    );
+
+    if (denial) {
+      await removeLabel(issue, config.labels.autoLand);
+      return status.fail(lang.error_permissionDenied('land', denial));
+    }
+
+    const pullRequest = await getPullRequestInfo(issue);
+    const result = await checkPullRequest(pullRequest, {
+      command: '!land',
+      parentRepoName: repoName,
+      skipChecks: true,
+      status,
+    });
+
+    if (result) {
+      await startAutoLand(pullRequest, {
+        config: result.config,
+        labeled: true,
+        lander: payload.sender.login,
+        status,
+      });
+    }
+  });
+
+  app.on('pull_request.unlabeled', async context => {
+    const {payload} = context;
+    const entry = await autoLands.get(
+      getIssueKey({
+        number: payload.pull_request.number,
+        repoName: payload.repository.full_name,
+      }),
+    );
+
+    if (entry && entry.labeled && payload.label.name === entry.label) {
+      await cancelAutoLand(entry, 'unlabeled');
+    }
+  });
+
+  commands.on('!import', handleSyncCommand, {
+    description:
+      'Import this pull request into the parent monorepo. This closes it in favor of the imported pull request. Use `--with owner/repo#123` to import other child pull requests along with it.',
+    isAvailable: isChildRepo,
+    requirements: getRequirements({permission: 'write'}),
+  });
+
+  commands.on('!land', handleSyncCommand, {
+    description:
+      'Queue this pull request to be landed into the parent monorepo and synced repos. Use `--when-ready` to wait for its checks and reviews to pass, or `--dry-run` to preview instead.',
+    isAvailable: isParentRepo,
+    requirements: getRequirements({permission: 'write'}),
+  });
+
+  // not supported; replies with the command that was likely intended
+  commands.on('!merge', handleSyncCommand, {
+    requirements: getRequirements({permission: 'write'}),
+  });
+
+  commands.on(
+    '!preview',
+    async context => {
+      const {payload} = context;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      await status.received();
+
+      const pullRequest = await getPullRequestInfo({
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      return previewLand(pullRequest, await findParentRepo(context), status);
+    },
+    {
+      description:
+        'Preview the commits landing this pull request would create, without landing it.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'read'}),
+    },
+  );
+
+  commands.on(
+    '!queue',
+    async context => {
+      const {payload} = context;
+      const pullRequest = {
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      };
+      const parentRepoName = await findParentRepo(context);
+
+      if (!parentRepoName) {
+        return addComment(pullRequest, lang.error_noParentRepo('queue'));
+      }
+
+      const releaseState = await releases.get(parentRepoName);
+
+      return addComment(
+        pullRequest,
+        lang.notify_landQueue(
+          await landQueue.list(parentRepoName),
+          releaseState && releaseState.blockedLands,
+        ),
+      );
+    },
+    {
+      description: 'List the pull requests waiting to land.',
+      isAvailable: async context => Boolean(await findParentRepo(context)),
+      requirements: getRequirements({permission: 'read'}),
+    },
+  );
+
+  commands.on(
+    '!dequeue',
+    async context => {
+      const {payload} = context;
+      const pullRequest = {
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      };
+      const queue = await landQueue.list(pullRequest.repoName);
+      const position =
+        queue.findIndex(entry => entry.number === pullRequest.number) + 1;
+      const autoLand = await autoLands.get(getIssueKey(pullRequest));
+
+      if (autoLand) {
+        return cancelAutoLand(autoLand, 'dequeued');
+      }
+
+      if (!position) {
+        return addComment(pullRequest, lang.error_notQueued());
+      }
+
+      if (position === 1) {
+        return addComment(pullRequest, lang.error_dequeueLanding());
+      }
+
+      await landQueue.remove(pullRequest);
+    },
+    {
+      description:
+        'Remove this pull request from the land queue, or stop waiting to land it.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'write'}),
+    },
+  );
+
+  commands.on(
+    '!release-freeze',
+    async (context, {args}) => {
+      const {payload} = context;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+      const repoName = payload.repository.full_name;
+      const state = (await releases.get(repoName)) || {blockedLands: []};
+
+      await status.received();
+
+      state.freeze = {
+        actor: payload.comment.user.login,
+        date: new Date().toISOString(),
+        reason: args.join(' ').trim(),
+      };
+      await releases.set(repoName, state);
+      await status.succeed(lang.notify_releaseFrozen());
+    },
+    {
+      description:
+        'Hold all lands except release pull requests until `!release-unfreeze`, e.g. while preparing a release. An optional reason can follow the command.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'write'}),
+    },
+  );
+
+  commands.on(
+    '!release-unfreeze',
+    async context => {
+      const {payload} = context;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+      const repoName = payload.repository.full_name;
+      const state = await releases.get(repoName);
+
+      await status.received();
+
+      if (!state || !state.freeze) {
+        return status.fail(lang.error_notFrozen());
+      }
+
+      // needed to check for an open release pull request
+      const config = await getConfig(status, 'release-unfreeze', repoName);
+
+      if (!config) return;
+
+      delete state.freeze;
+      await releases.set(
+        repoName,
+        state.blockedLands.length ? state : undefined,
+      );
+      await status.succeed(
+        lang.notify_releaseUnfrozen(await resumeBlockedLands(repoName)),
+      );
+    },
+    {
+      description:
+        'Resume landing after `!release-freeze`, queuing the lands that were waiting.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'write'}),
+    },
+  );
+
+  commands.on(
+    '!reimport',
+    async context => {
+      const {payload} = context;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      await status.received();
+
+      const pullRequest = await getPullRequestInfo({
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      if (pullRequest.state !== 'OPEN') {
+        return status.fail(lang.error_PRNotOpen('reimport'));
+      }
+
+      const config = await getConfig(status, 'reimport', pullRequest.repoName);
+
+      if (!config) return;
+
+      return reimportPullRequest(pullRequest, {config, status});
+    },
+    {
+      description:
+        'Import new commits pushed to the child pull requests this pull request was imported from.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'write'}),
+    },
+  );
+
+  commands.on(
+    '!retry-land',
+    async context => {
+      const {payload} = context;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      await status.received();
+
+      const pullRequest = await getPullRequestInfo({
+        number: payload.issue.number,
+        repoName: payload.repository.full_name,
+      });
+
+      if (pullRequest.state !== 'OPEN') {
+        return status.fail(lang.error_PRNotOpen('retry-land'));
+      }
+
+      const config = await getConfig(
+        status,
+        'retry-land',
+        pullRequest.repoName,
+      );
+
+      if (!config) return;
+
+      return retryLand(pullRequest, {config, status});
+    },
+    {
+      description:
+        "Finish a land that failed for some repos, landing only to the repos that didn't receive it.",
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'write'}),
+    },
+  );
+
+  commands.on(
+    '!drift',
+    async context => {
+      const {payload} = context;
+      const repoName = payload.repository.full_name;
+      const status = createStatus({
+        commentId: payload.comment.id,
+        number: payload.issue.number,
+        repoName,
+      });
+
+      await status.received();
+
+      const config = await getConfig(status, 'drift', repoName);
+
+      if (!config) return;
+
+      try {
+        await status.update(lang.notify_checkingDrift());
+        await status.succeed(
+          lang.notify_drift(await getDriftReport(repoName, config)),
+        );
+      } catch (error) {
+        await status.fail(lang.error_SyncError('check for drift', error));
+        throw error;
+      }
+    },
+    {
+      description:
+        'List files synced to child repos that no longer match this repo.',
+      isAvailable: isParentRepo,
+      requirements: getRequirements({permission: 'read'}),
+    },
+  );
+
+  commands.on(
+    '!help',
+    async context => {
+      const {payload} = context;
+
+      return addComment(
+        {
+          number: payload.issue.number,
+          repoName: payload.repository.full_name,
+        },
+        lang.notify_help(await commands.describe(context)),
+      );
+    },
+    {
+      description: 'List available commands.',
+      requirements: getRequirements({permission: 'read'}),
+    },
+  );
 }
 
 module.exports = {
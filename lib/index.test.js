@@ -4,7 +4,245 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-const {generateCommitMessages} = require('./index.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const extend = require('just-extend');
+const nock = require('nock');
+const {Probot} = require('probot');
+const {USyncError} = require('usyncit');
+const commentCreatedFixture = require('./__fixtures__/issue_comment.created.json');
+const permissionFixture = require('./__fixtures__/permission.json');
+const github = require('./github.js');
+const lang = require('./lang.js');
+const {readJSON} = require('./store.js');
+
+// read when index.js is loaded
+const DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'usync-'));
+const BREAKGLASS_LOG_PATH = path.join(DATA_PATH, 'breakglass.log');
+const LAND_QUEUE_PATH = path.join(DATA_PATH, 'land-queue.json');
+
+Object.assign(process.env, {
+  USYNC_AUTO_LAND_PATH: path.join(DATA_PATH, 'auto-land.json'),
+  USYNC_BREAKGLASS_LOG_PATH: BREAKGLASS_LOG_PATH,
+  USYNC_IMPORTS_PATH: path.join(DATA_PATH, 'imports.json'),
+  USYNC_LAND_QUEUE_PATH: LAND_QUEUE_PATH,
+  USYNC_LAND_RECORDS_PATH: path.join(DATA_PATH, 'land-records.json'),
+  USYNC_MIRRORS_PATH: path.join(DATA_PATH, 'mirrors.json'),
+  USYNC_RELEASES_PATH: path.join(DATA_PATH, 'releases.json'),
+});
+
+const {ProbotApp, generateCommitMessages} = require('./index.js');
+
+const mockCheck = jest.fn(async () => []);
+const mockImport = jest.fn(async () => true);
+const mockLand = jest.fn(async () => ({
+  'foo/child': {sha: 'child-sha'},
+  'foo/parent': {sha: 'parent-sha'},
+}));
+
+jest.mock('./BranchSync.js', () =>
+  jest.fn(() => ({
+    check: mockCheck,
+    import: mockImport,
+    land: mockLand,
+    queue: {add: task => task()},
+  })),
+);
+
+jest.mock('./github.js', () => {
+  const {parsePRBody, ...github} = jest.requireActual('./github.js');
+
+  // every request resolves with nothing unless a test says otherwise
+  return Object.keys(github).reduce(
+    (result, key) => {
+      result[key] = jest.fn(async () => {});
+      return result;
+    },
+    {parsePRBody},
+  );
+});
+
+jest.mock('./parents.js', () => ({
+  CONFIGURED_PARENT_REPOS: [],
+  findParentRepo: jest.fn(async () => 'foo/parent'),
+  watchParents: jest.fn(),
+}));
+
+nock.disableNetConnect();
+
+beforeEach(() => {
+  mockConfig({});
+  github.addComment.mockImplementation(async () => ({data: {id: 1}}));
+  github.createCheckRun.mockImplementation(async () => ({data: {id: 2}}));
+  github.getBranchSha.mockImplementation(async () => 'head');
+  github.getPullRequestFiles.mockImplementation(async () => [
+    'projects/child/index.js',
+  ]);
+  github.hasBranch.mockImplementation(async () => true);
+  github.isAppInstalled.mockImplementation(async () => true);
+  github.listOpenPullRequests.mockImplementation(async () => []);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  nock.cleanAll();
+});
+
+/**
+ * @param {object} config `.github/usync.yml` in the parent repo
+ */
+function mockConfig(config) {
+  github.getFileContent.mockImplementation(async (repoName, filepath) => {
+    if (filepath === '.github/usync.yml') {
+      return JSON.stringify(config);
+    } else if (filepath === '.usyncrc.json') {
+      return JSON.stringify({mapping: {'foo/child': {'projects/child': ''}}});
+    } else if (filepath === '.github/pull_request_template.md') {
+      return '';
+    }
+
+    throw Object.assign(new Error('Not Found'), {status: 404});
+  });
+}
+
+/**
+ * @param {object} [overrides]
+ * @returns {import('./github.js').PullRequestInfo}
+ */
+function mockPullRequest(overrides) {
+  const pullRequest = {
+    author: {login: 'author'},
+    baseRefName: 'master',
+    body: '',
+    headRefName: 'feature',
+    headRefOid: 'feature-sha',
+    headRepository: {nameWithOwner: 'foo/parent'},
+    labels: [],
+    mergeable: 'MERGEABLE',
+    mergeStateStatus: 'CLEAN',
+    number: 1,
+    repoName: 'foo/parent',
+    reviews: {
+      nodes: [
+        {
+          author: {login: 'reviewer'},
+          commit: {oid: 'feature-sha'},
+          state: 'APPROVED',
+        },
+      ],
+    },
+    state: 'OPEN',
+    title: 'Add feature',
+    url: 'https://github.com/foo/parent/pull/1',
+    ...overrides,
+  };
+
+  github.getPullRequestInfo.mockImplementation(async () => pullRequest);
+  return pullRequest;
+}
+
+function createProbot() {
+  // ref: https://github.com/probot/create-probot-app/blob/de9078d/templates/basic-js/test/fixtures/mock-cert.pem
+  const cert = fs.readFileSync(
+    path.resolve(__dirname, '__fixtures__/mock-cert.pem'),
+    'utf-8',
+  );
+  const probot = new Probot({
+    cert,
+    id: 123,
+  });
+
+  probot.load(ProbotApp);
+  return probot;
+}
+
+/**
+ * @param {Probot} probot
+ * @param {string} body
+ * @param {string} [permission] commenter's permission level
+ * @param {string} [repoName] repo of the commented pull request #1
+ * @returns {Promise<void>}
+ */
+async function receiveComment(
+  probot,
+  body,
+  permission = 'write',
+  repoName = 'foo/parent',
+) {
+  nock('https://api.github.com')
+    .get(`/repos/${repoName}/collaborators/lander/permission`)
+    .reply(200, {...permissionFixture, permission, role_name: permission});
+  await probot.receive({
+    name: 'issue_comment',
+    payload: extend(true, {}, commentCreatedFixture, {
+      comment: {body, user: {login: 'lander'}},
+      issue: {number: 1},
+      repository: {full_name: repoName},
+    }),
+  });
+}
+
+/**
+ * @param {Probot} probot
+ * @param {string} action e.g. `labeled`
+ * @param {object} [payload]
+ * @returns {Promise<void>}
+ */
+async function receivePullRequest(probot, action, payload) {
+  await probot.receive({
+    name: 'pull_request',
+    payload: extend(
+      true,
+      {
+        action,
+        pull_request: {
+          head: {ref: 'feature', sha: 'feature-sha'},
+          html_url: 'https://github.com/foo/parent/pull/1',
+          labels: [],
+          merged: false,
+          number: 1,
+        },
+        repository: {full_name: 'foo/parent'},
+        sender: {login: 'lander', type: 'User'},
+      },
+      payload,
+    ),
+  });
+}
+
+/**
+ * @param {Probot} probot
+ * @returns {Promise<void>}
+ */
+async function receiveApproval(probot) {
+  mockPullRequest();
+  await probot.receive({
+    name: 'pull_request_review',
+    payload: {
+      action: 'submitted',
+      pull_request: {number: 1},
+      repository: {full_name: 'foo/parent'},
+    },
+  });
+}
+
+// lands run in the background once queued
+async function waitForLands() {
+  while (Object.keys((await readJSON(LAND_QUEUE_PATH)) || {}).length) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * @param {string} body
+ */
+function expectStatus(body) {
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'foo/parent'},
+    body,
+  );
+}
 
 test('generateCommitMessages', () => {
   expect(
@@ -71,10 +309,12 @@ test('generateCommitMessages', () => {
           '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n<!--\nHTML comment\n-->\n\n**foo/child**\n```\nSome custom child title\n\ncustom child summary\n```',
         title: 'Parent PR title',
       },
-      {
-        repoName: 'foo/child',
-        number: 20,
-      },
+      [
+        {
+          repoName: 'foo/child',
+          number: 20,
+        },
+      ],
     ),
   ).toEqual({
     generic: 'Parent PR title\n\nParent PR summary',
@@ -129,3 +369,1183 @@ test('generateCommitMessages', () => {
       'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary\n\n### Sub-heading\n\nfoo',
   });
 });
+
+test('generateCommitMessages with multiple imported pull requests', () => {
+  expect(
+    generateCommitMessages(
+      {
+        repoName: 'foo/parent',
+        number: 10,
+        body:
+          '## Summary\n\nParent PR summary\n\n## Commit message overrides\n\n**foo/child**\n```\nChild title\n```\n\n**foo/other**\n```\nOther title\n```',
+        title: 'Parent PR title',
+      },
+      [
+        {repoName: 'foo/child', number: 20},
+        {repoName: 'foo/other', number: 30},
+      ],
+    ),
+  ).toEqual({
+    generic: 'Parent PR title\n\nParent PR summary',
+    'foo/parent':
+      'Parent PR title (#10)\nhttps://github.com/foo/parent/pull/10\n\nParent PR summary',
+    'foo/child': 'Child title (#20)\nhttps://github.com/foo/child/pull/20',
+    'foo/other': 'Other title (#30)\nhttps://github.com/foo/other/pull/30',
+  });
+});
+
+test('Requires a reason to breakglass', async () => {
+  const probot = createProbot();
+
+  mockPullRequest({mergeStateStatus: 'BLOCKED'});
+  github.getPermissionLevel.mockImplementation(async () => 'admin');
+  await receiveComment(probot, '!land --breakglass', 'admin');
+  await waitForLands();
+
+  expectStatus(lang.error_breakglassReason());
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+test('Limits breakglass to repo admins by default', async () => {
+  const probot = createProbot();
+
+  mockPullRequest({mergeStateStatus: 'BLOCKED'});
+  github.getPermissionLevel.mockImplementation(async () => 'write');
+  await receiveComment(probot, '!land --breakglass "Fixes the outage"');
+  await waitForLands();
+
+  expect(github.getPermissionLevel).toHaveBeenCalledWith(
+    'foo/parent',
+    'lander',
+  );
+  expectStatus(lang.error_breakglassDenied([]));
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+test('Limits breakglass to the configured teams', async () => {
+  const probot = createProbot();
+
+  mockConfig({breakglass: {teams: ['foo/oncall']}});
+  mockPullRequest({mergeStateStatus: 'BLOCKED'});
+  github.getPermissionLevel.mockImplementation(async () => 'admin');
+  github.isTeamMember.mockImplementation(async () => false);
+  await receiveComment(probot, '!land --breakglass "Fixes the outage"');
+  await waitForLands();
+
+  expect(github.isTeamMember).toHaveBeenCalledWith('foo/oncall', 'lander');
+  expectStatus(lang.error_breakglassDenied(['foo/oncall']));
+  expect(mockLand).not.toHaveBeenCalled();
+
+  github.isTeamMember.mockImplementation(async () => true);
+  await receiveComment(probot, '!land --breakglass "Fixes the outage"');
+  await waitForLands();
+
+  expect(mockLand).toHaveBeenCalledTimes(1);
+});
+
+test('Lands to the child branches mapped to the parent branch', async () => {
+  const probot = createProbot();
+
+  mockConfig({branches: {master: {'foo/child': 'main'}}});
+  mockPullRequest();
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(github.hasBranch).toHaveBeenCalledWith('foo/child', 'main');
+  expect(mockLand).toHaveBeenCalledWith({
+    branches: {default: 'master', 'foo/child': 'main'},
+    commitMessages: expect.any(Object),
+    fallbackBranch: 'land/1',
+    headBranch: 'feature',
+    headRepoName: 'foo/parent',
+    parentBranch: 'master',
+  });
+});
+
+test("Blocks lands that don't apply cleanly to a child repo", async () => {
+  const probot = createProbot();
+
+  mockPullRequest();
+  mockCheck.mockImplementationOnce(async () => ['foo/child']);
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(mockCheck).toHaveBeenCalledWith(
+    expect.objectContaining({headBranch: 'feature', repoNames: ['foo/child']}),
+  );
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.error_landBlocked([
+      {branch: 'master', reason: 'conflicts', repoName: 'foo/child'},
+    ]),
+  );
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+test('Rejects parent repo commands in child repos', async () => {
+  const probot = createProbot();
+
+  mockPullRequest({repoName: 'foo/child'});
+  await receiveComment(probot, '!release-freeze', 'admin', 'foo/child');
+
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'foo/child'},
+    lang.error_commandUnavailable('!release-freeze'),
+  );
+  expect((await readJSON(process.env.USYNC_RELEASES_PATH)) || {}).toEqual({});
+
+  await receiveComment(probot, '!land', 'write', 'foo/child');
+
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'foo/child'},
+    lang.error_mustLandFromParent(),
+  );
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+test('Imports into the parent branch mapped to the child branch', async () => {
+  const probot = createProbot();
+
+  mockConfig({branches: {master: {'foo/child': 'main'}}});
+  mockPullRequest({
+    baseRefName: 'main',
+    headRefName: 'fix',
+    headRepository: {nameWithOwner: 'foo/child'},
+    repoName: 'foo/child',
+  });
+  github.createPullRequest.mockImplementation(async () => ({
+    html_url: 'https://github.com/foo/parent/pull/5',
+    number: 5,
+  }));
+  await receiveComment(probot, '!import', 'write', 'foo/child');
+
+  expect(mockImport).toHaveBeenCalledWith({
+    baseRepoName: 'foo/child',
+    childBranch: 'main',
+    headBranch: 'fix',
+    headRepoName: 'foo/child',
+    message: 'Add feature',
+    newBranch: 'imports/foo/child/1',
+    parentBranch: 'master',
+  });
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    data: expect.objectContaining({base: 'master'}),
+    repoName: 'foo/parent',
+  });
+
+  // `master` isn't synced with the child repo
+  mockPullRequest({
+    baseRefName: 'master',
+    headRepository: {nameWithOwner: 'foo/child'},
+    repoName: 'foo/child',
+  });
+  await receiveComment(probot, '!import', 'write', 'foo/child');
+
+  expect(mockImport).toHaveBeenCalledTimes(1);
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'foo/child'},
+    lang.error_targetNotMapped('master'),
+  );
+});
+
+/**
+ * Mock child pull request foo/child#1 and foo/other#2 to import with it
+ *
+ * @param {object} [otherOverrides]
+ * @returns {{childPR: object, otherPR: object}}
+ */
+function mockImportWith(otherOverrides) {
+  const childPR = mockPullRequest({
+    headRefName: 'fix',
+    headRepository: {nameWithOwner: 'foo/child'},
+    repoName: 'foo/child',
+    url: 'https://github.com/foo/child/pull/1',
+  });
+  const otherPR = {
+    ...childPR,
+    headRefName: 'other-fix',
+    headRepository: {nameWithOwner: 'foo/other'},
+    number: 2,
+    repoName: 'foo/other',
+    title: 'Fix other typo',
+    url: 'https://github.com/foo/other/pull/2',
+    ...otherOverrides,
+  };
+
+  github.getPullRequestInfo.mockImplementation(async ({repoName}) =>
+    repoName === 'foo/other' ? otherPR : childPR,
+  );
+  github.getPermissionLevel.mockImplementation(async () => 'write');
+  github.createPullRequest.mockImplementation(async () => ({
+    html_url: 'https://github.com/foo/parent/pull/5',
+    number: 5,
+  }));
+  return {childPR, otherPR};
+}
+
+test('Imports other child pull requests with !import --with', async () => {
+  const probot = createProbot();
+  const {childPR, otherPR} = mockImportWith();
+  const newBranch = 'imports/foo/child/1+foo/other/2';
+
+  await receiveComment(
+    probot,
+    '!import --with foo/other#2',
+    'write',
+    'foo/child',
+  );
+
+  expect(github.getPermissionLevel).toHaveBeenCalledWith('foo/other', 'lander');
+  expect(mockImport).toHaveBeenCalledWith(
+    expect.objectContaining({headBranch: 'fix', newBranch}),
+  );
+  expect(mockImport).toHaveBeenCalledWith(
+    expect.objectContaining({
+      baseRepoName: 'foo/other',
+      headBranch: 'other-fix',
+      headRepoName: 'foo/other',
+      newBranch: 'imports/foo/other/2',
+    }),
+  );
+  expect(github.mergeBranch).toHaveBeenCalledWith('foo/parent', {
+    base: newBranch,
+    commit_message: 'Fix other typo',
+    head: 'imports/foo/other/2',
+  });
+  expect(github.deleteBranch).toHaveBeenCalledWith(
+    {repoName: 'foo/parent'},
+    'imports/foo/other/2',
+  );
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    data: expect.objectContaining({base: 'master', head: newBranch}),
+    repoName: 'foo/parent',
+  });
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 5, repoName: 'foo/parent'},
+    lang.notify_importedToParent({
+      importedPRs: [childPR, otherPR],
+      importer: 'lander',
+    }),
+  );
+  expect(github.addComment).toHaveBeenCalledWith(
+    otherPR,
+    lang.notify_importedFromChild('https://github.com/foo/parent/pull/5'),
+  );
+  expect(github.closeIssue).toHaveBeenCalledWith(otherPR);
+  expect(github.closeIssue).toHaveBeenCalledWith(childPR);
+});
+
+test('Checks the pull requests given with !import --with', async () => {
+  const probot = createProbot();
+  const importWith = async ref => {
+    await receiveComment(probot, `!import --with ${ref}`, 'write', 'foo/child');
+  };
+  const expectFailed = body => {
+    expect(github.addComment).toHaveBeenLastCalledWith(
+      {number: 1, repoName: 'foo/child'},
+      body,
+    );
+  };
+
+  const {childPR} = mockImportWith();
+
+  await importWith('foo/other');
+  expectFailed(lang.error_importRef('foo/other'));
+
+  await importWith('foo/child#3');
+  expectFailed(lang.error_importWithSameRepo('foo/child'));
+
+  github.getPermissionLevel.mockImplementation(async () => 'read');
+  await importWith('foo/other#2');
+  expectFailed(
+    lang.error_importWith('foo/other#2', lang.error_importWithDenied()),
+  );
+
+  github.getPullRequestInfo.mockImplementation(async ({repoName}) => {
+    if (repoName === 'foo/other') {
+      throw Object.assign(new Error('Not Found'), {status: 404});
+    }
+
+    return childPR;
+  });
+  await importWith('foo/other#2');
+  expectFailed(
+    lang.error_importWith('foo/other#2', lang.error_importWithNotFound()),
+  );
+
+  // synced with `v1` rather than `master`
+  mockConfig({branches: {master: {}, v1: {}}});
+  mockImportWith({baseRefName: 'v1'});
+  await importWith('foo/other#2');
+  expectFailed(
+    lang.error_importWith('foo/other#2', lang.error_importWithBranch('master')),
+  );
+
+  expect(mockImport).not.toHaveBeenCalled();
+  expect(github.closeIssue).not.toHaveBeenCalled();
+});
+
+test('Lands with breakglass, skipping checks', async () => {
+  const probot = createProbot();
+  // neither up-to-date nor approved
+  const pullRequest = mockPullRequest({
+    mergeStateStatus: 'BLOCKED',
+    reviews: {nodes: []},
+  });
+
+  github.getPermissionLevel.mockImplementation(async () => 'admin');
+  await receiveComment(probot, '!land --breakglass "Fixes the outage"');
+  await waitForLands();
+
+  expect(mockLand).toHaveBeenCalledTimes(1);
+  expect(github.addLabel).toHaveBeenCalledWith(pullRequest, 'breakglass');
+  expect(github.addComment).toHaveBeenCalledWith(
+    pullRequest,
+    lang.notify_breakglass({
+      actor: 'lander',
+      pullRequest,
+      reason: 'Fixes the outage',
+    }),
+  );
+
+  const auditLines = fs
+    .readFileSync(BREAKGLASS_LOG_PATH, 'utf-8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  expect(auditLines[auditLines.length - 1]).toEqual({
+    actor: 'lander',
+    date: expect.any(String),
+    landedRepos: {
+      'foo/child': {sha: 'child-sha'},
+      'foo/parent': {sha: 'parent-sha'},
+    },
+    pullRequest: 'foo/parent#1',
+    reason: 'Fixes the outage',
+  });
+
+  // blocked before anything landed, so there's nothing to audit
+  github.isAppInstalled.mockImplementation(async () => false);
+  await receiveComment(probot, '!land --breakglass "Fixes the outage"');
+  await waitForLands();
+
+  expect(mockLand).toHaveBeenCalledTimes(1);
+  expect(
+    fs
+      .readFileSync(BREAKGLASS_LOG_PATH, 'utf-8')
+      .trim()
+      .split('\n'),
+  ).toHaveLength(auditLines.length);
+});
+
+test('Auto-lands once checks and reviews pass', async () => {
+  const probot = createProbot();
+
+  mockPullRequest({reviews: {nodes: []}});
+  await receiveComment(probot, '!land --when-ready');
+  await waitForLands();
+
+  expectStatus(lang.notify_autoLandArmed());
+  expect(mockLand).not.toHaveBeenCalled();
+
+  await receiveApproval(probot);
+  await waitForLands();
+
+  expect(mockLand).toHaveBeenCalledTimes(1);
+  expect(github.closeIssue).toHaveBeenCalled();
+});
+
+test('Cancels auto-land when new commits are pushed', async () => {
+  const probot = createProbot();
+
+  mockPullRequest({reviews: {nodes: []}});
+  await receiveComment(probot, '!land --when-ready');
+  await receivePullRequest(probot, 'synchronize');
+
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_autoLandCancelled({
+      author: 'author',
+      label: 'auto-land',
+      reason: 'pushed',
+    }),
+  );
+
+  await receiveApproval(probot);
+  await waitForLands();
+
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+test('Cancels auto-land when its label is removed', async () => {
+  const probot = createProbot();
+  const label = {name: 'auto-land'};
+
+  mockPullRequest({reviews: {nodes: []}});
+  nock('https://api.github.com')
+    .get('/repos/foo/parent/collaborators/lander/permission')
+    .reply(200, {
+      ...permissionFixture,
+      permission: 'write',
+      role_name: 'write',
+    });
+  await receivePullRequest(probot, 'labeled', {label});
+
+  expectStatus(lang.notify_autoLandArmed());
+
+  await receivePullRequest(probot, 'unlabeled', {label});
+
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_autoLandCancelled({
+      author: 'author',
+      label: 'auto-land',
+      reason: 'unlabeled',
+    }),
+  );
+  // already removed
+  expect(github.removeLabel).not.toHaveBeenCalled();
+
+  await receiveApproval(probot);
+  await waitForLands();
+
+  expect(mockLand).not.toHaveBeenCalled();
+});
+
+const MIRROR_BRANCH = 'mirrors/foo/parent/1';
+
+/**
+ * Mock parent pull request #1 changing `files` with mirrors enabled
+ *
+ * @param {string[]} files
+ * @returns {import('./github.js').PullRequestInfo}
+ */
+function mockMirrored(files) {
+  mockConfig({mirror: {enabled: true}});
+  github.getPullRequestFileChanges.mockImplementation(async () =>
+    files.map(filename => ({filename, sha: 'blob', status: 'modified'})),
+  );
+  github.getFileModes.mockImplementation(async () => ({}));
+  github.getCommit.mockImplementation(async () => ({tree: {sha: 'tree'}}));
+  github.createTree.mockImplementation(async () => 'mirror-tree');
+  github.createCommit.mockImplementation(async () => 'mirror-sha');
+  return mockPullRequest();
+}
+
+test('Opens and updates mirrors in the child repos a pull request changes', async () => {
+  const probot = createProbot();
+  const pullRequest = mockMirrored(['projects/child/index.js']);
+  const mirror = {
+    branch: MIRROR_BRANCH,
+    number: 3,
+    repoName: 'foo/child',
+    url: 'https://github.com/foo/child/pull/3',
+  };
+  const data = {
+    body: lang.PRBody_mirror(pullRequest),
+    title: lang.PRTitle_mirror(pullRequest),
+  };
+
+  github.getBranchSha.mockImplementation(async (repoName, branch) =>
+    branch === MIRROR_BRANCH ? undefined : 'head',
+  );
+  github.createPullRequest.mockImplementation(async () => ({
+    html_url: mirror.url,
+    number: 3,
+  }));
+  await receivePullRequest(probot, 'opened');
+
+  expect(github.createCommit).toHaveBeenCalledWith('foo/child', {
+    message: 'Add feature\n\nhttps://github.com/foo/parent/pull/1',
+    parents: ['head'],
+    tree: 'mirror-tree',
+  });
+  expect(github.createBranch).toHaveBeenCalledWith(
+    'foo/child',
+    MIRROR_BRANCH,
+    'mirror-sha',
+  );
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    data: {
+      ...data,
+      base: 'master',
+      head: MIRROR_BRANCH,
+      maintainer_can_modify: false,
+    },
+    repoName: 'foo/child',
+  });
+  expect(await readJSON(process.env.USYNC_MIRRORS_PATH)).toEqual({
+    'foo/parent#1': {'foo/child': mirror},
+  });
+
+  // pushed to, so the existing mirror is rebuilt
+  github.getBranchSha.mockImplementation(async () => 'head');
+  github.listOpenPullRequests.mockImplementation(async () => [
+    {headRefName: MIRROR_BRANCH, number: 3, url: mirror.url},
+  ]);
+  await receivePullRequest(probot, 'synchronize');
+
+  expect(github.updateBranch).toHaveBeenCalledWith(
+    'foo/child',
+    MIRROR_BRANCH,
+    'mirror-sha',
+    true,
+  );
+  expect(github.updatePullRequest).toHaveBeenCalledWith(
+    expect.objectContaining({number: 3}),
+    data,
+  );
+  expect(github.createPullRequest).toHaveBeenCalledTimes(1);
+
+  // no longer changes the child repo
+  mockMirrored(['README.md']);
+  await receivePullRequest(probot, 'synchronize');
+
+  expect(github.addComment).toHaveBeenCalledWith(
+    mirror,
+    lang.notify_mirrorClosed({parentPR: pullRequest, reason: 'obsolete'}),
+  );
+  expect(github.closeIssue).toHaveBeenCalledWith(mirror);
+  expect(github.deleteBranch).toHaveBeenCalledWith(mirror, MIRROR_BRANCH);
+  expect(github.createBranch).toHaveBeenCalledTimes(1);
+  expect(await readJSON(process.env.USYNC_MIRRORS_PATH)).toEqual({
+    'foo/parent#1': {},
+  });
+});
+
+test('Closes mirrors once their pull request lands or closes', async () => {
+  const mirror = {
+    branch: MIRROR_BRANCH,
+    number: 3,
+    repoName: 'foo/child',
+    url: 'https://github.com/foo/child/pull/3',
+  };
+
+  fs.writeFileSync(
+    process.env.USYNC_MIRRORS_PATH,
+    JSON.stringify({'foo/parent#1': {'foo/child': mirror}}),
+  );
+
+  const probot = createProbot();
+  const pullRequest = mockPullRequest();
+
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(github.addComment).toHaveBeenCalledWith(
+    mirror,
+    lang.notify_mirrorClosed({
+      commitUrl: 'https://github.com/foo/child/commit/child-sha',
+      parentPR: pullRequest,
+      reason: 'landed',
+    }),
+  );
+  expect(github.closeIssue).toHaveBeenCalledWith(mirror);
+  expect(github.deleteBranch).toHaveBeenCalledWith(mirror, MIRROR_BRANCH);
+  expect(await readJSON(process.env.USYNC_MIRRORS_PATH)).toEqual({});
+
+  // closed without landing, once the app restarts with the mirror
+  fs.writeFileSync(
+    process.env.USYNC_MIRRORS_PATH,
+    JSON.stringify({'foo/parent#1': {'foo/child': mirror}}),
+  );
+  await receivePullRequest(createProbot(), 'closed');
+
+  expect(github.addComment).toHaveBeenCalledWith(
+    mirror,
+    lang.notify_mirrorClosed({
+      parentPR: {
+        number: 1,
+        repoName: 'foo/parent',
+        url: 'https://github.com/foo/parent/pull/1',
+      },
+      reason: 'closed',
+    }),
+  );
+  expect(await readJSON(process.env.USYNC_MIRRORS_PATH)).toEqual({});
+});
+
+/**
+ * Mock a release pull request, #1, that bumps `foo/child` to 1.1.0
+ *
+ * @param {string} childVersion version on foo/child's `master`
+ * @returns {import('./github.js').PullRequestInfo}
+ */
+function mockRelease(childVersion = '1.1.0') {
+  const releasePR = mockPullRequest({headRefName: 'releases/1.1.0'});
+  const getFileContent = github.getFileContent.getMockImplementation();
+
+  github.getFileContent.mockImplementation(async (repoName, filepath, ref) => {
+    if (filepath === 'projects/child/package.json') {
+      return JSON.stringify({version: ref === 'merge-sha' ? '1.1.0' : '1.0.0'});
+    } else if (repoName === 'foo/child' && filepath === 'package.json') {
+      return JSON.stringify({version: childVersion});
+    }
+
+    return getFileContent(repoName, filepath, ref);
+  });
+  github.getPullRequestFiles.mockImplementation(async () => [
+    'projects/child/package.json',
+  ]);
+  github.getBranchSha.mockImplementation(async repoName => `${repoName}-head`);
+  github.mergePullRequest.mockImplementation(async () => ({
+    data: {sha: 'merge-sha'},
+  }));
+  return releasePR;
+}
+
+/**
+ * @param {Probot} probot
+ * @returns {Promise<void>}
+ */
+async function receiveReleaseMerged(probot) {
+  await receivePullRequest(probot, 'closed', {
+    pull_request: {
+      base: {ref: 'master', sha: 'base-sha'},
+      head: {ref: 'releases/1.1.0'},
+      merge_commit_sha: 'merge-sha',
+      merged: true,
+      title: 'Release 1.1.0',
+    },
+  });
+}
+
+test('Tags child repos the released version was landed to', async () => {
+  const probot = createProbot();
+
+  mockRelease();
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  // merged into the parent repo only
+  expect(mockLand).not.toHaveBeenCalled();
+  expect(github.updateBranch).not.toHaveBeenCalled();
+  expect(github.createRelease).toHaveBeenCalledWith(
+    'foo/child',
+    expect.objectContaining({
+      tag_name: 'v1.1.0',
+      target_commitish: 'foo/child-head',
+    }),
+  );
+
+  // already tagged by `!land`
+  await receiveReleaseMerged(probot);
+
+  expect(github.createRelease).toHaveBeenCalledTimes(1);
+});
+
+test("Doesn't tag child repos the released version wasn't landed to", async () => {
+  const probot = createProbot();
+
+  mockRelease('1.0.0');
+  await receiveReleaseMerged(probot);
+
+  expect(github.createRelease).not.toHaveBeenCalled();
+  expect(github.addComment).toHaveBeenCalledWith(
+    {number: 1, repoName: 'foo/parent'},
+    lang.notify_childReleases([
+      {
+        branch: 'master',
+        notLanded: true,
+        repoName: 'foo/child',
+        tag: 'v1.1.0',
+        version: '1.1.0',
+      },
+    ]),
+  );
+});
+
+test('Tags merged releases before resuming the lands waiting for them', async () => {
+  fs.writeFileSync(
+    process.env.USYNC_RELEASES_PATH,
+    JSON.stringify({
+      'foo/parent': {
+        blockedLands: [{lander: 'lander', number: 2, repoName: 'foo/parent'}],
+      },
+    }),
+  );
+
+  const probot = createProbot();
+  const releasePR = mockRelease();
+  const blockedPR = {...releasePR, headRefName: 'feature', number: 2};
+
+  github.getPullRequestInfo.mockImplementation(async ({number}) =>
+    number === 1 ? releasePR : blockedPR,
+  );
+  // slow enough for the blocked land to go first if it could
+  github.createRelease.mockImplementation(async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return {html_url: 'https://github.com/foo/child/releases/v1.1.0'};
+  });
+  // merged without `!land`
+  await receiveReleaseMerged(probot);
+  await waitForLands();
+
+  expect(mockLand).toHaveBeenCalledTimes(1);
+  expect(mockLand.mock.invocationCallOrder[0]).toBeGreaterThan(
+    github.createRelease.mock.invocationCallOrder[0],
+  );
+});
+
+/**
+ * Mock a land of parent pull request #1 that reaches the parent repo
+ * but not foo/child, where uSync pushes to the fallback branch instead
+ *
+ * @returns {Object<string, string>} `repo:branch` -> head SHA, kept
+ * up to date as branches are updated and deleted
+ */
+function mockPartialLand() {
+  const heads = {
+    'foo/child:master': 'child-sha',
+    'foo/parent:master': 'parent-sha',
+  };
+
+  mockPullRequest();
+  mockLand.mockImplementationOnce(async () => {
+    heads['foo/child:land/1'] = 'fallback-sha';
+    heads['foo/parent:master'] = 'landed-sha';
+    throw new USyncError('Failed to push to foo/child');
+  });
+  github.getBranchSha.mockImplementation(
+    async (repoName, branch) => heads[`${repoName}:${branch}`],
+  );
+  github.updateBranch.mockImplementation(async (repoName, branch, sha) => {
+    heads[`${repoName}:${branch}`] = sha;
+  });
+  github.deleteBranch.mockImplementation(async ({repoName}, branch) => {
+    delete heads[`${repoName}:${branch}`];
+  });
+  github.compareCommits.mockImplementation(async (repoName, base, head) => [
+    {message: 'Add feature (#1)', sha: head},
+  ]);
+  github.createPullRequest.mockImplementation(async () => ({
+    html_url: 'https://github.com/foo/child/pull/3',
+    number: 3,
+  }));
+  return heads;
+}
+
+test('Records partial lands and finishes them with !retry-land', async () => {
+  const probot = createProbot();
+  const heads = mockPartialLand();
+  const record = {
+    fallbackBranch: 'land/1',
+    parentBranch: 'master',
+    repos: {
+      'foo/child': {
+        branch: 'master',
+        fallbackPR: {number: 3, url: 'https://github.com/foo/child/pull/3'},
+        sha: 'fallback-sha',
+        status: 'failed',
+      },
+      'foo/parent': {branch: 'master', sha: 'landed-sha', status: 'landed'},
+    },
+  };
+
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    repoName: 'foo/child',
+    data: expect.objectContaining({base: 'master', head: 'land/1'}),
+  });
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.error_landIncomplete(record),
+  );
+  expect(await readJSON(process.env.USYNC_LAND_RECORDS_PATH)).toEqual({
+    'foo/parent#1': record,
+  });
+
+  await receiveComment(probot, '!retry-land');
+
+  expect(heads).toEqual({
+    'foo/child:master': 'fallback-sha',
+    'foo/parent:master': 'landed-sha',
+  });
+  expect(github.closeIssue).toHaveBeenCalledWith(
+    expect.objectContaining({number: 1, repoName: 'foo/parent'}),
+  );
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_landedAll({
+      'foo/child': {
+        fallbackPR: {number: 3, url: 'https://github.com/foo/child/pull/3'},
+        sha: 'fallback-sha',
+      },
+      'foo/parent': {sha: 'landed-sha'},
+    }),
+  );
+  // completed, so nothing is left to retry
+  expect(await readJSON(process.env.USYNC_LAND_RECORDS_PATH)).toEqual({});
+});
+
+test('Finishes partial lands once their fallback pull request is merged', async () => {
+  const probot = createProbot();
+
+  mockPartialLand();
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(github.closeIssue).not.toHaveBeenCalled();
+
+  await receivePullRequest(probot, 'closed', {
+    pull_request: {
+      head: {ref: 'land/1'},
+      html_url: 'https://github.com/foo/child/pull/3',
+      merge_commit_sha: 'merged-sha',
+      merged: true,
+      number: 3,
+    },
+    repository: {full_name: 'foo/child'},
+  });
+
+  expect(github.deleteBranch).toHaveBeenCalledWith(
+    {repoName: 'foo/child'},
+    'land/1',
+  );
+  expect(github.closeIssue).toHaveBeenCalledWith(
+    expect.objectContaining({number: 1, repoName: 'foo/parent'}),
+  );
+  // in a new status comment, since nothing is running
+  expectStatus(
+    lang.notify_landedAll({
+      'foo/child': {
+        fallbackPR: {number: 3, url: 'https://github.com/foo/child/pull/3'},
+        sha: 'merged-sha',
+      },
+      'foo/parent': {sha: 'landed-sha'},
+    }),
+  );
+  expect(await readJSON(process.env.USYNC_LAND_RECORDS_PATH)).toEqual({});
+});
+
+test('Reverts partial lands with land.revertOnFailure', async () => {
+  const probot = createProbot();
+  const heads = mockPartialLand();
+
+  mockConfig({land: {revertOnFailure: true}});
+  github.getCommit.mockImplementation(async (repoName, sha) => ({
+    message: 'Add feature (#1)',
+    parents: [{sha: 'parent-sha'}],
+    tree: {sha: `${sha}-tree`},
+  }));
+  github.createCommit.mockImplementation(async () => 'revert-sha');
+  await receiveComment(probot, '!land');
+  await waitForLands();
+
+  expect(github.createCommit).toHaveBeenCalledWith('foo/parent', {
+    message: 'Revert "Add feature (#1)"\n\nThis reverts commit landed-sha.',
+    parents: ['landed-sha'],
+    tree: 'parent-sha-tree',
+  });
+  // rolled back everywhere, so there's nothing to merge or retry
+  expect(heads).toEqual({
+    'foo/child:master': 'child-sha',
+    'foo/parent:master': 'revert-sha',
+  });
+  expect(github.createPullRequest).not.toHaveBeenCalled();
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.error_landIncomplete({
+      fallbackBranch: 'land/1',
+      parentBranch: 'master',
+      repos: {
+        'foo/child': {branch: 'master', status: 'skipped'},
+        'foo/parent': {
+          branch: 'master',
+          revertSha: 'revert-sha',
+          sha: 'landed-sha',
+          status: 'reverted',
+        },
+      },
+    }),
+  );
+  expect(await readJSON(process.env.USYNC_LAND_RECORDS_PATH)).toEqual({});
+});
+
+/**
+ * Mock parent pull request #1 imported from foo/child#2, whose kept
+ * head branch has had `new-sha` pushed to it since
+ *
+ * @returns {{childPR: object, parentPR: object}}
+ */
+function mockImported() {
+  fs.writeFileSync(
+    process.env.USYNC_IMPORTS_PATH,
+    JSON.stringify({
+      'foo/child#2': {
+        headRefName: 'fix',
+        headRepoName: 'foo/child',
+        headSha: 'old-sha',
+        parentNumber: 1,
+        parentRepoName: 'foo/parent',
+      },
+    }),
+  );
+
+  const parentPR = mockPullRequest({
+    headRefName: 'imports/foo/child/2',
+    title: 'Fix typo',
+  });
+  const childPR = {
+    ...parentPR,
+    headRefName: 'fix',
+    headRepository: {nameWithOwner: 'foo/child'},
+    number: 2,
+    repoName: 'foo/child',
+    state: 'CLOSED',
+  };
+
+  github.getPullRequestInfo.mockImplementation(async ({number}) =>
+    number === 1 ? parentPR : childPR,
+  );
+  github.getBranchSha.mockImplementation(async () => 'new-sha');
+  github.compareCommits.mockImplementation(async () => [
+    {message: 'Fix another typo', sha: 'new-sha'},
+  ]);
+  return {childPR, parentPR};
+}
+
+function expectReimported() {
+  // only the new commits, on top of the parent pull request's branch
+  expect(mockImport).toHaveBeenCalledWith({
+    baseRepoName: 'foo/child',
+    childBranch: 'master',
+    headBranch: 'fix',
+    headRepoName: 'foo/child',
+    headSha: 'new-sha',
+    message: 'Fix typo',
+    newBranch: 'imports/foo/child/2',
+    parentBranch: 'master',
+    since: 'old-sha',
+  });
+  expect(github.mergeBranch).not.toHaveBeenCalled();
+  expect(github.compareCommits).toHaveBeenCalledWith(
+    'foo/child',
+    'old-sha',
+    'new-sha',
+  );
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_reimported([
+      {
+        commits: [{message: 'Fix another typo', sha: 'new-sha'}],
+        headRepoName: 'foo/child',
+        number: 2,
+        repoName: 'foo/child',
+        status: 'updated',
+      },
+    ]),
+  );
+}
+
+/**
+ * @param {Probot} probot
+ * @param {object} payload
+ * @returns {Promise<void>}
+ */
+async function receivePush(probot, payload) {
+  // uSync's own pushes to child repos are ignored
+  nock('https://api.github.com')
+    .get('/app')
+    .reply(200, {slug: 'usync'});
+  await probot.receive({
+    name: 'push',
+    payload: extend(
+      true,
+      {
+        after: 'new-sha',
+        before: 'old-sha',
+        commits: [],
+        compare: 'https://github.com/foo/child/compare/old-sha...new-sha',
+        created: false,
+        deleted: false,
+        ref: 'refs/heads/fix',
+        repository: {full_name: 'foo/child'},
+        sender: {login: 'author', type: 'User'},
+      },
+      payload,
+    ),
+  });
+}
+
+test('Reimports new commits with !reimport', async () => {
+  const probot = createProbot();
+
+  mockImported();
+  await receiveComment(probot, '!reimport');
+
+  expectReimported();
+});
+
+test('Records reimports that change no synced files', async () => {
+  const probot = createProbot();
+
+  mockImported();
+  mockImport.mockImplementationOnce(async () => false);
+  await receiveComment(probot, '!reimport');
+
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_reimported([
+      {
+        commits: [{message: 'Fix another typo', sha: 'new-sha'}],
+        headRepoName: 'foo/child',
+        number: 2,
+        repoName: 'foo/child',
+        status: 'noChanges',
+      },
+    ]),
+  );
+  expect(await readJSON(process.env.USYNC_IMPORTS_PATH)).toEqual({
+    'foo/child#2': expect.objectContaining({headSha: 'new-sha'}),
+  });
+});
+
+test("Doesn't reimport without the last imported commit", async () => {
+  const probot = createProbot();
+
+  mockImported();
+  fs.writeFileSync(process.env.USYNC_IMPORTS_PATH, '{}');
+  await receiveComment(probot, '!reimport');
+
+  expect(mockImport).not.toHaveBeenCalled();
+  expect(github.updateComment).toHaveBeenCalledWith(
+    'foo/parent',
+    1,
+    lang.notify_reimported([
+      {
+        headRepoName: 'foo/child',
+        number: 2,
+        repoName: 'foo/child',
+        status: 'notRecorded',
+      },
+    ]),
+  );
+});
+
+test('Reimports pushes to kept head branches with import.autoReimport', async () => {
+  const probot = createProbot();
+
+  mockImported();
+  await receivePush(probot, {ref: 'refs/heads/other'});
+  await receivePush(probot);
+
+  expect(mockImport).not.toHaveBeenCalled();
+
+  mockConfig({import: {autoReimport: true}});
+  await receivePush(probot, {ref: 'refs/heads/other'});
+
+  expect(mockImport).not.toHaveBeenCalled();
+
+  await receivePush(probot);
+
+  expectReimported();
+
+  // closing the parent pull request ends re-importing
+  await receivePullRequest(probot, 'closed');
+
+  expect(await readJSON(process.env.USYNC_IMPORTS_PATH)).toEqual({});
+});
+
+test('Imports commits pushed to synced child branches with pushes.action', async () => {
+  const probot = createProbot();
+  const push = {ref: 'refs/heads/master'};
+  const pushBranch = 'pushes/foo/child/new-sha';
+
+  mockConfig({pushes: {action: 'import'}});
+  github.compareFiles.mockImplementation(async () => [
+    {filename: 'index.js', sha: 'blob', status: 'modified'},
+  ]);
+  await receivePush(probot, push);
+
+  expect(github.createBranch).toHaveBeenCalledWith(
+    'foo/parent',
+    pushBranch,
+    'head',
+  );
+  expect(mockImport).toHaveBeenCalledWith({
+    baseRepoName: 'foo/child',
+    childBranch: 'master',
+    headBranch: 'master',
+    headSha: 'new-sha',
+    message: expect.stringContaining(
+      'https://github.com/foo/child/compare/old-sha...new-sha',
+    ),
+    newBranch: pushBranch,
+    parentBranch: 'master',
+    since: 'old-sha',
+  });
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    data: expect.objectContaining({base: 'master', head: pushBranch}),
+    repoName: 'foo/parent',
+  });
+
+  // only changes to files uSync doesn't sync, e.g. ignored ones
+  mockImport.mockImplementationOnce(async () => false);
+  await receivePush(probot, push);
+
+  expect(github.deleteBranch).toHaveBeenCalledWith(
+    {repoName: 'foo/parent'},
+    pushBranch,
+  );
+  expect(github.createPullRequest).toHaveBeenCalledTimes(1);
+});
+
+test('Ignores hand-merged fallback branches in pushes to child repos', async () => {
+  fs.writeFileSync(
+    process.env.USYNC_LAND_RECORDS_PATH,
+    JSON.stringify({
+      'foo/parent#1': {
+        fallbackBranch: 'land/1',
+        parentBranch: 'master',
+        repos: {
+          'foo/child': {
+            branch: 'master',
+            fallbackPR: {number: 3, url: 'https://github.com/foo/child/pull/3'},
+            sha: 'fallback-sha',
+            status: 'failed',
+          },
+        },
+      },
+    }),
+  );
+
+  const probot = createProbot();
+  const mergePush = {
+    commits: [
+      {id: 'fallback-sha', message: 'Add feature'},
+      {id: 'new-sha', message: 'Merge pull request #3 from foo/land/1'},
+    ],
+    ref: 'refs/heads/master',
+  };
+
+  github.compareFiles.mockImplementation(async () => [
+    {filename: 'index.js', sha: 'blob', status: 'modified'},
+  ]);
+  await receivePush(probot, mergePush);
+
+  expect(github.createIssue).not.toHaveBeenCalled();
+
+  await receivePush(probot, {
+    commits: [{id: 'new-sha', message: 'Add feature'}],
+    ref: 'refs/heads/master',
+  });
+
+  expect(github.createIssue).toHaveBeenCalledTimes(1);
+
+  // closing the parent pull request abandons the land
+  await receivePullRequest(probot, 'closed');
+
+  expect(await readJSON(process.env.USYNC_LAND_RECORDS_PATH)).toEqual({});
+});
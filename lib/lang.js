@@ -17,27 +17,65 @@ function codeBlock(content, language) {
   return '````' + (language || '') + '\n' + content + '\n````';
 }
 
+/**
+ * @param {import('./ProbotCommands.js').DenialType} denial
+ */
+function describeDenial(denial) {
+  if (denial.reason === 'teams') {
+    return `requires membership in ${denial.teams
+      .map(team => `@${team.replace(/^@/, '')}`)
+      .join(' or ')}`;
+  } else if (denial.reason === 'codeowners') {
+    return 'requires code ownership of every changed file';
+  }
+
+  return `requires \`${denial.permission}\` access`;
+}
+
+/**
+ * @param {import('./pushes.js').PushType} push
+ */
+function describePush({branch, commits, compareUrl, pusher, repoName}) {
+  const commitList = commits.map(
+    ({id, message, url}) =>
+      `- [${id.slice(0, 7)}](${url}) ${message.split('\n')[0]}`,
+  );
+
+  return `@${pusher} pushed these commits directly to \`${branch}\` of ${repoName} ([compare](${compareUrl})), so the parent repo doesn't have them:\n\n${commitList.join(
+    '\n',
+  )}`;
+}
+
 module.exports = {
   notify_importedFromChild: url =>
     `This pull request has been imported. If you have access to the parent repo, you can view the imported change [here](${url}).`,
 
   /**
    * @param {{
-   *   importedPR: {
+   *   importedPRs: {
    *     number: number,
    *     repoName: string,
    *     url: string,
-   *   },
+   *   }[],
    *   importer: string,
    * }} props
    */
-  notify_importedToParent: ({importedPR, importer}) =>
-    `This pull request was imported from [${importedPR.repoName}#${importedPR.number}](${importedPR.url}) by @${importer}. Comment \`!land\` when the change is ready to be landed.`,
+  notify_importedToParent: ({importedPRs, importer}) => {
+    const links = importedPRs.map(
+      ({number, repoName, url}) => `[${repoName}#${number}](${url})`,
+    );
+
+    return `This pull request was imported from ${links.join(
+      ', ',
+    )} by @${importer}. Comment \`!land\` when the change is ready to be landed.`;
+  },
 
   /**
-   * Lists commit SHAs for all landed repos
+   * Lists commit SHAs for all landed repos, and the fallback pull
+   * request of those that couldn't be pushed to at first
    *
    * @param {Object<string, {
+   *   fallbackPR?: {url: string},
    *   sha: string,
    * }>} landedRepos
    */
@@ -45,11 +83,13 @@ module.exports = {
     const repoList = Object.entries(landedRepos)
       .sort((a, b) => a[0].localeCompare(b[0]))
       .map(([repoName, info]) => {
-        const {sha} = info;
+        const {fallbackPR, sha} = info;
         const label = `${repoName}@${sha.slice(0, 7)}`;
         const url = `https://github.com/${repoName}/commit/${sha}`;
 
-        return `- [${label}](${url})`;
+        return fallbackPR
+          ? `- [${label}](${url}) (from [pull request](${fallbackPR.url}))`
+          : `- [${label}](${url})`;
       });
 
     return `This pull request was landed via:\n\n${repoList.join('\n')}`;
@@ -63,27 +103,546 @@ module.exports = {
    */
   notify_landedRepo: (landedRepos, repoName) =>
     `This pull request was landed via ${landedRepos[repoName].sha}.`,
+  /**
+   * @param {{
+   *   actor: string,
+   *   pullRequest: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   *   reason: string,
+   * }} props
+   */
+  notify_breakglass: ({actor, pullRequest, reason}) =>
+    `## :rotating_light: Breakglass used\n\n@${actor} is landing [${
+      pullRequest.repoName
+    }#${pullRequest.number}](${
+      pullRequest.url
+    }) without the required reviews and status checks. This has been recorded in the audit log.\n\n**Reason:**\n\n${quoteLines(
+      reason,
+    )}`,
+  notify_checkingRepos: () =>
+    ':hourglass: Checking that every synced repo is ready to land...',
+  notify_checkingDrift: () =>
+    ':hourglass: Comparing synced directories with their child repos...',
+
+  /**
+   * @param {import('./drift.js').DriftReportType} report
+   */
+  notify_drift: report => {
+    const sections = Object.entries(report)
+      .filter(([, drifts]) => drifts.length)
+      .map(([parentBranch, drifts]) => {
+        const problems = drifts
+          .sort((a, b) => a.repoName.localeCompare(b.repoName))
+          .map(drift => {
+            const prefix = `- **${drift.repoName}**: `;
+
+            if (drift.reason === 'notInstalled') {
+              return `${prefix}the app isn't installed on this repo`;
+            } else if (drift.reason === 'missingBranch') {
+              return `${prefix}the \`${drift.branch}\` branch doesn't exist`;
+            }
+
+            const paths = [
+              ...drift.changed.map(filepath => `  - \`${filepath}\` differs`),
+              ...drift.missing.map(
+                filepath => `  - \`${filepath}\` is missing`,
+              ),
+            ];
+            const shownPaths = paths.slice(0, 50);
+
+            if (paths.length > shownPaths.length) {
+              shownPaths.push(
+                `  - *and ${paths.length - shownPaths.length} more*`,
+              );
+            }
+
+            return `${prefix}\`${
+              drift.branch
+            }\` doesn't match the parent repo:\n${shownPaths.join('\n')}`;
+          });
+
+        return `#### \`${parentBranch}\`\n\n${problems.join('\n')}`;
+      });
+
+    if (!sections.length) {
+      return ':white_check_mark: Every synced directory matches its child repo.';
+    }
+
+    return `These child repos have drifted from the parent repo.\n\n${sections.join(
+      '\n\n',
+    )}`;
+  },
+  notify_importing: () => ':hourglass: Importing into the parent repo...',
+  notify_reimporting: () =>
+    ':hourglass: Importing new commits from the child pull requests...',
+  /**
+   * @param {{
+   *   commits?: {message: string, sha: string}[],
+   *   headRepoName: string,
+   *   number: number,
+   *   repoName: string,
+   *   status: 'missingBranch' | 'unchanged' | 'updated',
+   * }[]} results
+   */
+  notify_reimported: results => {
+    const sections = results.map(
+      ({commits, headRepoName, number, repoName, status}) => {
+        const heading = `**${repoName}#${number}**`;
+
+        if (status === 'missingBranch') {
+          return `${heading}: its head branch no longer exists.`;
+        }
+
+        if (status === 'notRecorded') {
+          return `${heading}: the commit it was last imported from wasn't recorded, so its new commits can't be told apart. Import it again with \`!import\` instead.`;
+        }
+
+        if (status === 'unchanged') {
+          return `${heading}: no new commits.`;
+        }
+
+        if (status === 'noChanges') {
+          return `${heading}: its ${commits.length} new commit(s) don't change any synced files.`;
+        }
+
+        const commitList = commits.map(
+          ({message, sha}) =>
+            `- [${sha.slice(
+              0,
+              7,
+            )}](https://github.com/${headRepoName}/commit/${sha}) ${
+              message.split('\n')[0]
+            }`,
+        );
+
+        return `${heading}: imported ${
+          commits.length
+        } new commit(s):\n\n${commitList.join('\n')}`;
+      },
+    );
+
+    return `Re-imported into this pull request:\n\n${sections.join('\n\n')}`;
+  },
+  notify_landing: () =>
+    ':hourglass: Landing into the parent and synced repos...',
+  notify_retryingLand: repoNames =>
+    `:hourglass: Retrying the land for:\n\n${repoNames
+      .map(repoName => `- ${repoName}`)
+      .join('\n')}`,
   notify_mergeRelease: () => `Release PR detected. Merging.`,
-  error_approval: command =>
-    `Unable to ${command}. At least one approved review is required.`,
+  notify_mergePushed: () =>
+    'This pull request imports commits already pushed to a child repo. Merging it into the parent repo only.',
+  notify_dequeued: () => 'Removed from the land queue.',
+  notify_autoLandArmed: () =>
+    ":hourglass: Waiting to land. This pull request will be added to the land queue once it's up-to-date and has passed its required checks and reviews. Pushing new commits or a merge conflict cancels this.",
+  /**
+   * @param {{
+   *   author: string,
+   *   label: string,
+   *   reason: 'conflict' | 'dequeued' | 'pushed' | 'unlabeled',
+   * }} props
+   */
+  notify_autoLandCancelled: ({author, label, reason}) => {
+    const reasons = {
+      conflict: 'it has merge conflicts',
+      dequeued: 'it was removed with `!dequeue`',
+      pushed: 'new commits were pushed',
+      unlabeled: `the \`${label}\` label was removed`,
+    };
+
+    return `@${author} Auto-land was cancelled because ${reasons[reason]}. Comment \`!land --when-ready\` or add the \`${label}\` label to wait for it to be ready again.`;
+  },
+  /**
+   * @param {{
+   *   commitUrl?: string,
+   *   parentPR: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   *   reason: 'closed' | 'landed' | 'obsolete',
+   * }} props `commitUrl` is the landed commit in this repo, if any
+   */
+  notify_mirrorClosed: ({commitUrl, parentPR, reason}) => {
+    const link = `[${parentPR.repoName}#${parentPR.number}](${parentPR.url})`;
+    const reasons = {
+      closed: `${link} was closed without landing`,
+      landed: commitUrl
+        ? `${link} was landed via ${commitUrl}`
+        : `${link} was landed`,
+      obsolete: `${link} no longer changes this repo`,
+    };
+
+    return `Closing this mirror because ${reasons[reason]}.`;
+  },
+
+  /**
+   * @param {import('./ProbotCommands.js').CommandInfoType[]} commands
+   */
+  notify_help: commands => {
+    const formatCommand = ({commands, denial, description}) =>
+      `- ${commands
+        .map(command => `\`${command}\``)
+        .join(', ')}: ${description}${
+        denial ? ` *(${describeDenial(denial)})*` : ''
+      }`;
+    const available = commands.filter(command => command.isAvailable);
+    const unavailable = commands.filter(command => !command.isAvailable);
+    let result = `**Commands for this pull request:**\n\n${available
+      .map(formatCommand)
+      .join('\n')}`;
+
+    if (unavailable.length) {
+      result += `\n\n**Not available in this repo:**\n\n${unavailable
+        .map(formatCommand)
+        .join('\n')}`;
+    }
+
+    return result;
+  },
+
+  /**
+   * @param {import('./LandQueue.js').QueueEntry[]} queue
+   * @param {import('./LandQueue.js').QueueEntry[]} [blockedLands]
+   * waiting for a release
+   */
+  notify_landQueue: (queue, blockedLands = []) => {
+    if (!queue.length && !blockedLands.length) {
+      return 'The land queue is empty.';
+    }
+
+    const formatEntries = entries =>
+      entries
+        .map(
+          ({lander, number, repoName}, i) =>
+            `${i + 1}. ${repoName}#${number} (queued by @${lander})${
+              i === 0 && entries === queue ? ' - **landing**' : ''
+            }`,
+        )
+        .join('\n');
+    const sections = [];
+
+    if (queue.length) {
+      sections.push(`Land queue:\n\n${formatEntries(queue)}`);
+    }
+
+    if (blockedLands.length) {
+      sections.push(
+        `Waiting for the release (queued again once it's merged or landing is unfrozen):\n\n${formatEntries(
+          blockedLands,
+        )}`,
+      );
+    }
+
+    return sections.join('\n\n');
+  },
+  /**
+   * @param {{
+   *   actor: string,
+   *   reason: string,
+   *   type: 'freeze',
+   * } | {
+   *   type: 'releasePR',
+   *   url: string,
+   * }} blocker
+   */
+  notify_landBlockedByRelease: blocker =>
+    blocker.type === 'freeze'
+      ? `:snowflake: Landing is frozen for a release by @${blocker.actor}${
+          blocker.reason ? `:\n\n${quoteLines(blocker.reason)}\n\n` : '. '
+        }This pull request will be queued to land again automatically once \`!release-unfreeze\` is used.`
+      : `:snowflake: Waiting for the [release pull request](${blocker.url}) to be merged. This pull request will be queued to land again automatically once it is.`,
+  /**
+   * @param {{
+   *   branch?: string,
+   *   error?: Error,
+   *   notLanded?: boolean,
+   *   release?: {html_url: string},
+   *   repoName: string,
+   *   tag: string,
+   *   version: string,
+   * }[]} results
+   */
+  notify_childReleases: results => {
+    const repoList = results.map(
+      ({branch, error, notLanded, release, repoName, tag, version}) => {
+        if (error) {
+          return `- :x: ${repoName}: failed to release \`${tag}\` (${error.message})`;
+        } else if (notLanded) {
+          return `- ${repoName}: \`${tag}\` not released, since \`${branch}\` doesn't have version ${version} yet`;
+        }
+
+        return release
+          ? `- [${repoName}@${tag}](${release.html_url})`
+          : `- ${repoName}: \`${tag}\` already exists`;
+      },
+    );
+
+    return `Released child repos whose synced branch has the new version:\n\n${repoList.join(
+      '\n',
+    )}`;
+  },
+  notify_releaseFrozen: () =>
+    ':snowflake: Landing is frozen for a release. Lands will wait until `!release-unfreeze` is used, then continue in order. Release pull requests can still be landed.',
+  notify_releaseUnfrozen: count =>
+    `Landing is unfrozen.${
+      count ? ` ${count} waiting pull request(s) were queued to land.` : ''
+    }`,
+  /**
+   * @param {{
+   *   fallbackBranch: string,
+   *   repos: {
+   *     message: string,
+   *     repoName: string,
+   *   }[],
+   *   unknownOverrides: string[],
+   * }} preview
+   */
+  notify_landPreview: ({fallbackBranch, repos, unknownOverrides}) => {
+    const repoList = repos.map(
+      ({message, repoName}) => `**${repoName}**\n${codeBlock(message)}`,
+    );
+    let result = `Landing this pull request would commit to:\n\n${repoList.join(
+      '\n\n',
+    )}\n\n*Co-authored-by trailers are added when landing.* If a repo can't be pushed to, the change will be pushed to the \`${fallbackBranch}\` branch instead.`;
+
+    if (unknownOverrides.length) {
+      result += `\n\n:warning: **Commit message overrides were provided for repos that aren't synced:**\n\n${unknownOverrides
+        .map(repoName => `- ${repoName}`)
+        .join('\n')}`;
+    }
+
+    return result;
+  },
+  notify_queuePosition: (position, length) =>
+    `Queued for landing at position ${position} of ${length}. This comment will be updated as the queue moves; comment \`!dequeue\` to cancel.`,
   error_upToDatePassing: command =>
     `Unable to ${command}. Base branch must be up-to-date and status checks must be passing.`,
   error_branchNotMergeable: command =>
     `Unable to ${command}. This branch isn't mergeable.`,
+  error_applyFailed: (repoName, branch) =>
+    `The change doesn't apply cleanly to the \`${branch}\` branch of ${repoName}. Nothing has been pushed.`,
+  error_breakglassDenied: teams =>
+    `Unable to land with breakglass. Only ${
+      teams.length
+        ? `members of ${teams
+            .map(team => `@${team.replace(/^@/, '')}`)
+            .join(' or ')}`
+        : 'admins of the parent repo'
+    } can skip review and status checks.`,
+  error_breakglassReason: () =>
+    'Unable to land with breakglass. A reason is required, e.g. `!land --breakglass "Fixes the production outage"`.',
+  error_dequeueLanding: () =>
+    'Unable to dequeue. This pull request is already landing.',
+  error_invalidConfig: (command, problems) =>
+    `Unable to ${command}. Invalid \`.github/usync.yml\` in parent repo:\n\n${problems
+      .map(problem => `- ${problem}`)
+      .join('\n')}`,
+  /**
+   * @param {import('./preflight.js').BlockerType[]} blockers
+   */
+  error_landBlocked: blockers => {
+    const problems = blockers
+      .sort((a, b) => a.repoName.localeCompare(b.repoName))
+      .map(blocker => {
+        const prefix = `- **${blocker.repoName}**: `;
+
+        if (blocker.reason === 'notInstalled') {
+          return `${prefix}the app isn't installed on this repo`;
+        } else if (blocker.reason === 'conflicts') {
+          return `${prefix}the change doesn't apply cleanly to the \`${blocker.branch}\` branch, which has diverged from the parent repo`;
+        }
+
+        return `${prefix}the \`${blocker.branch}\` branch doesn't exist`;
+      });
+
+    return `Unable to land. Nothing has been pushed, but these synced repos need attention first:\n\n${problems.join(
+      '\n',
+    )}`;
+  },
+  /**
+   * Lists what happened to each repo during a land that
+   * couldn't complete
+   *
+   * @param {import('./LandRecords.js').LandRecordType} record
+   */
+  error_landIncomplete: ({fallbackBranch, repos}) => {
+    const commitLink = (repoName, sha) =>
+      `[${sha.slice(0, 7)}](https://github.com/${repoName}/commit/${sha})`;
+    const repoList = Object.entries(repos)
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([repoName, {branch, fallbackPR, revertSha, sha, status}]) => {
+        if (status === 'landed') {
+          return `- :white_check_mark: **${repoName}**: landed via ${commitLink(
+            repoName,
+            sha,
+          )}`;
+        } else if (status === 'failed') {
+          return `- :x: **${repoName}**: couldn't push to \`${branch}\`; the change is on the \`${fallbackBranch}\` branch${
+            fallbackPR ? ` ([pull request](${fallbackPR.url}))` : ''
+          }`;
+        } else if (status === 'reverted') {
+          return `- :leftwards_arrow_with_hook: **${repoName}**: landed, then reverted via ${commitLink(
+            repoName,
+            revertSha,
+          )}`;
+        }
+
+        return `- :heavy_minus_sign: **${repoName}**: not landed`;
+      });
+    const hasFailed = Object.values(repos).some(
+      ({status}) => status === 'failed',
+    );
+    const nextStep = hasFailed
+      ? 'Once the problem is fixed (e.g. branch protection or access for the `GH_TOKEN` account), comment `!retry-land` to land only the repos that failed, or merge their pull requests.'
+      : 'Every landed commit was reverted, so this pull request can be landed again once the problem is fixed.';
+
+    return `:boom: **Unable to land to every repo:**\n\n${repoList.join(
+      '\n',
+    )}\n\n${nextStep}`;
+  },
+  error_commandUnavailable: command =>
+    `\`${command}\` isn't available in this repo. Comment \`!help\` to list the commands that are.`,
   error_mergeCommandNotSupported: suggestedCommand =>
-    `\`!merge\` command is not supported. Did you mean \`${suggestedCommand}\`?`,
+    `\`!merge\` command is not supported. Did you mean \`${suggestedCommand}\`? Comment \`!help\` to list all commands.`,
   error_mustLandFromParent: () =>
     'Can only land from the parent repo. Did you mean `!import`?',
+  error_mustPreviewFromParent: () =>
+    'Can only preview landing from the parent repo.',
   error_noImportFromParent: () =>
     'Cannot import from the parent repo. Did you mean `!land`?',
-  error_noLandDuringRelease: url =>
-    `Landing is restricted while a [release pull request](${url}) is open. Retry once the release has landed.`,
+  error_mirrorReadOnly: () =>
+    'Cannot import a mirror pull request. It only reflects changes from its parent pull request, where they should be made instead.',
+  error_noParentRepo: command =>
+    `Unable to ${command}. This repo isn't the parent monorepo or mapped in any parent repo's \`.usyncrc.json\`.`,
   error_noPRTemplate: command =>
     `Unable to ${command}. \`.github/pull_request_template.md\` not found in parent repo.`,
+  error_nothingToImport: branch =>
+    `Unable to import. \`${branch}\` doesn't change any files synced with the parent repo.`,
+  error_importRewritten: branch =>
+    `Unable to reimport. \`${branch}\` no longer contains the last commit imported from it, so its history was rewritten. Import it again with \`!import\` instead.`,
+  /**
+   * @param {{branch: string, repoName: string}[]} repos
+   * @param {string} fallbackBranch
+   * @returns {string}
+   */
+  error_pushFailed: (repos, fallbackBranch) =>
+    `Unable to push to:\n${repos
+      .map(({branch, repoName}) => `- \`${branch}\` in ${repoName}`)
+      .join(
+        '\n',
+      )}\n\nPushed to the \`${fallbackBranch}\` branch instead. **Please manually merge the branch(es) ASAP**.\n\n*NOTE: to prevent this, you likely need to adjust your branch protection rules or ensure the \`GH_TOKEN\` account has admin access to your repos.*`,
+  error_nothingToRetry: () =>
+    "Unable to retry-land. This pull request doesn't have an incomplete land to retry.",
+  error_importRef: ref =>
+    `Unable to import. \`${ref}\` isn't a pull request reference like \`owner/repo#123\`.`,
+  /**
+   * @param {string} ref `owner/repo#123`
+   * @param {string} reason
+   */
+  error_importWith: (ref, reason) =>
+    `Unable to import ${ref} along with this pull request. ${reason}`,
+  error_importWithBranch: parentBranch =>
+    `Every pull request imported together must target the branch synced with \`${parentBranch}\`.`,
+  error_importWithNotFound: () =>
+    "It doesn't exist, or the app can't access it.",
+  error_importWithDenied: () => "You don't have permission to import it.",
+  error_importWithSameRepo: repoName =>
+    `Only one pull request per repo can be imported together, since each repo receives a single commit when landing. Multiple were given for ${repoName}.`,
+  error_notImported: () =>
+    "Unable to reimport. This pull request wasn't created by `!import`.",
+  error_notFrozen: () => "Landing isn't frozen.",
+  error_notQueued: () => "This pull request isn't in the land queue.",
+  /**
+   * @param {string} command
+   * @param {import('./ProbotCommands.js').DenialType} denial
+   */
+  error_permissionDenied: (command, denial) => {
+    if (denial.reason === 'teams') {
+      return `Unable to ${command}. You must be a member of one of these teams: ${denial.teams
+        .map(team => `@${team.replace(/^@/, '')}`)
+        .join(', ')}`;
+    } else if (denial.reason === 'codeowners') {
+      const paths = denial.paths
+        .slice(0, 20)
+        .map(filepath => `- \`${filepath}\``);
+
+      if (denial.paths.length > paths.length) {
+        paths.push(`- *and ${denial.paths.length - paths.length} more*`);
+      }
+
+      return `Unable to ${command}. You must be a code owner of every changed file. You don't own:\n\n${paths.join(
+        '\n',
+      )}`;
+    }
+
+    return `Unable to ${command}. You need \`${denial.permission}\` access to this repo.`;
+  },
   error_PRNotOpen: command =>
     `Unable to ${command}. This pull request isn't open.`,
-  error_targetNotMaster: () =>
-    '`!import` and `!land` are only required for pull requests targeting the `master` branch.',
+  error_targetNotMapped: branch =>
+    `\`!import\` and \`!land\` are only required for pull requests targeting a synced branch. \`${branch}\` isn't configured under \`branches\` in the parent repo's \`.github/usync.yml\`.`,
+  /**
+   * @param {string} command
+   * @param {import('./requiredChecks.js').CheckProblemType[]} problems
+   */
+  error_requiredChecks: (command, problems) => {
+    const descriptions = {
+      failure: 'failed',
+      missing: "hasn't reported",
+      pending: 'still running',
+    };
+    const problemList = problems.map(
+      ({name, repoName, state}) =>
+        `- \`${name}\` (required for **${repoName}**): ${descriptions[state]}`,
+    );
+
+    return `Unable to ${command}. Required checks haven't passed on the latest commit:\n\n${problemList.join(
+      '\n',
+    )}`;
+  },
+
+  /**
+   * @param {string} command
+   * @param {import('./reviews.js').ReviewProblemType[]} problems
+   */
+  error_reviewRequirements: (command, problems) => {
+    const problemList = problems.map(problem => {
+      if (problem.reason === 'approvals') {
+        return `- At least ${problem.required} approving review${
+          problem.required === 1 ? '' : 's'
+        }${
+          problem.requireLatestCommit ? ' of the latest commit' : ''
+        } required (currently ${problem.approvals}).`;
+      } else if (problem.reason === 'changesRequested') {
+        return `- Changes requested by ${problem.reviewers
+          .map(reviewer => `@${reviewer}`)
+          .join(', ')} must be addressed and re-reviewed.`;
+      }
+
+      const paths = problem.paths
+        .slice(0, 20)
+        .map(filepath => `  - \`${filepath}\``);
+
+      if (problem.paths.length > paths.length) {
+        paths.push(`  - *and ${problem.paths.length - paths.length} more*`);
+      }
+
+      return `- Files synced to **${
+        problem.repoName
+      }** need approval from one of their code owners:\n${paths.join('\n')}`;
+    });
+
+    return `Unable to ${command}. Review requirements aren't met:\n\n${problemList.join(
+      '\n',
+    )}`;
+  },
+  error_driftTreeTooLarge: (repoName, dir) =>
+    `${repoName} has too many files in \`${dir ||
+      '/'}\` for GitHub to list, so they can't be compared.`,
   error_SyncError: (command, error) => {
     error =
       error instanceof USyncError ? error.message : 'Internal Server Error';
@@ -94,26 +653,42 @@ module.exports = {
   },
 
   /**
+   * @param {string} command
+   * @param {'failure' | 'success'} conclusion
+   */
+  check_title: (command, conclusion) =>
+    conclusion === 'success'
+      ? `${command === 'land' ? 'Landed' : 'Imported'} successfully`
+      : `Unable to ${command}`,
+
+  /**
+   * The first imported pull request's body is used as the summary,
+   * and each gets a commit message override for its repo
+   *
    * @param {{
-   *   importedPR: {
+   *   importedPRs: {
    *     body: string,
    *     repoName: string,
    *     title: string,
-   *   },
+   *   }[],
    *   template: string,
    * }} props
    */
-  PRBody_imported: ({importedPR, template}) =>
+  PRBody_imported: ({importedPRs, template}) =>
     template
       .replace(/\r\n|\r|\n/g, '\n')
       .split('\n')
       .map(line => {
+        const importedPR = importedPRs.find(
+          ({repoName}) => line === `**${repoName}**`,
+        );
+
         if (
           line === '*No summary provided*' &&
-          importedPR.body.replace(/\n/g, '').trim()
+          importedPRs[0].body.replace(/\n/g, '').trim()
         ) {
-          line = importedPR.body;
-        } else if (line === `**${importedPR.repoName}**`) {
+          line = importedPRs[0].body;
+        } else if (importedPR) {
           let override = importedPR.title;
 
           if (importedPR.body) {
@@ -130,4 +705,97 @@ module.exports = {
         return line;
       })
       .join('\n'),
+
+  /**
+   * @param {{
+   *   number: number,
+   *   repoName: string,
+   *   url: string,
+   * }} parentPR
+   */
+  PRBody_mirror: ({number, repoName, url}) =>
+    `This is a read-only mirror of [${repoName}#${number}](${url}), so this repo's checks run against its changes.\n\nDon't push to, merge or import it. It's updated whenever the parent pull request is, and closed once it lands or is closed.`,
+  PRTitle_mirror: ({title}) => `[Mirror] ${title}`,
+
+  /**
+   * @param {{
+   *   branch: string,
+   *   lander: string,
+   *   message: string,
+   *   pullRequest: {
+   *     number: number,
+   *     repoName: string,
+   *     url: string,
+   *   },
+   * }} props
+   */
+  PRBody_fallback: ({branch, lander, message, pullRequest}) =>
+    `@${lander} Landing [${pullRequest.repoName}#${pullRequest.number}](${
+      pullRequest.url
+    }) couldn't push to \`${branch}\`, so the change was pushed to this branch instead. Merge this pull request to finish landing it here, or comment \`!retry-land\` on the parent pull request.\n\nGenerated commit message:\n\n${codeBlock(
+      message,
+    )}`,
+
+  /**
+   * @param {import('./pushes.js').PushType} push
+   */
+  PRTitle_directPush: ({branch, commits, repoName}) =>
+    commits.length === 1
+      ? commits[0].message.split('\n')[0]
+      : `Import ${commits.length} commits pushed to ${repoName}@${branch}`,
+
+  /**
+   * @param {import('./pushes.js').PushType} push
+   */
+  PRBody_directPush: push => describePush(push),
+
+  /**
+   * @param {import('./pushes.js').PushType} push
+   */
+  issueTitle_directPush: ({branch, repoName}) =>
+    `Direct push to ${repoName}@${branch} is out of sync`,
+  issueTitle_drift: () => 'Child repos have drifted from the monorepo',
+
+  /**
+   * @param {{
+   *   paths: string[],
+   *   push: import('./pushes.js').PushType,
+   * }} props
+   */
+  issueBody_directPush: ({paths, push}) => {
+    const pathList = [...new Set(paths)]
+      .sort()
+      .map(filepath => `- \`${filepath}\``);
+
+    return `${describePush(
+      push,
+    )}\n\nThey change these synced files in this repo:\n\n${pathList.join(
+      '\n',
+    )}\n\nMake the same change here, or it will be overwritten the next time these files are landed. Close this issue once it's resolved.`;
+  },
+
+  /**
+   * @param {import('./release.js').ReleaseNoteType[]} notes
+   * @param {string} [previousTag]
+   */
+  releaseNotes: (notes, previousTag) => {
+    if (!previousTag) {
+      return 'Initial release.';
+    }
+
+    if (!notes.length) {
+      return `No changes since ${previousTag}.`;
+    }
+
+    const noteList = notes.map(
+      ({pullRequest, title}) =>
+        `- ${title}${
+          pullRequest
+            ? ` ([${pullRequest.repoName}#${pullRequest.number}](${pullRequest.url}))`
+            : ''
+        }`,
+    );
+
+    return `## Changes since ${previousTag}\n\n${noteList.join('\n')}`;
+  },
 };
@@ -0,0 +1,279 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getChildBranch} = require('./config.js');
+const {
+  addComment,
+  closeIssue,
+  createBlob,
+  createBranch,
+  createCommit,
+  createPullRequest,
+  createTree,
+  deleteBranch,
+  getBlob,
+  getBranchSha,
+  getCommit,
+  getFileModes,
+  getPullRequestFileChanges,
+  isAppInstalled,
+  listOpenPullRequests,
+  updateBranch,
+  updatePullRequest,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {getChildPath} = require('./preflight.js');
+const {getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {{
+ *   branch: string,
+ *   number: number,
+ *   repoName: string,
+ *   url: string,
+ * }} MirrorType
+ *
+ * @typedef {{
+ *   path: string,
+ *   sha: string | null,
+ *   sourcePath?: string,
+ * }} MirrorChangeType `sha` is the source repo's blob at
+ * `sourcePath`, or `null` if the file was removed
+ */
+
+/**
+ * @param {{number: number, repoName: string}} pullRequest parent
+ * pull request
+ * @param {ConfigType} config
+ * @returns {string} head branch of its mirrors in each child repo
+ */
+function getMirrorBranch({number, repoName}, config) {
+  return `${config.branchPrefixes.mirror}${repoName}/${number}`;
+}
+
+/**
+ * Map a parent pull request's changed files to each child repo
+ *
+ * @param {Object<string, Object<string, string>>} mapping
+ * `.usyncrc.json` mapping
+ * @param {{
+ *   filename: string,
+ *   previousFilename?: string,
+ *   sha: string,
+ *   status: string,
+ * }[]} files
+ * @returns {Object<string, MirrorChangeType[]>} child repo name ->
+ * changes to its files, for repos with any
+ */
+function getMirrorChanges(mapping, files) {
+  const result = {};
+
+  for (const [repoName, paths] of Object.entries(mapping)) {
+    const changes = [];
+
+    for (const file of files) {
+      const childPath = getChildPath(paths, file.filename);
+      const previousPath =
+        file.previousFilename && getChildPath(paths, file.previousFilename);
+
+      if (previousPath) {
+        changes.push({path: previousPath, sha: null});
+      }
+
+      if (childPath) {
+        changes.push(
+          file.status === 'removed'
+            ? {path: childPath, sha: null}
+            : {path: childPath, sha: file.sha, sourcePath: file.filename},
+        );
+      }
+    }
+
+    if (changes.length) {
+      result[repoName] = changes;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Commit `changes` on top of `baseSha` in `repoName`. Blobs and
+ * their modes are copied from `sourceSha` in `sourceRepoName`, so
+ * they keep the same SHAs, executable bits and symlinks
+ *
+ * @param {string} repoName
+ * @param {{
+ *   baseSha: string,
+ *   changes: MirrorChangeType[],
+ *   message: string,
+ *   sourceRepoName: string,
+ *   sourceSha: string,
+ * }} opts
+ * @returns {Promise<string>} new commit SHA
+ */
+async function commitChanges(repoName, opts) {
+  const {baseSha, changes, message, sourceRepoName, sourceSha} = opts;
+  const sourcePaths = changes
+    .filter(change => change.sha)
+    .map(change => change.sourcePath);
+  // file modes aren't listed with changed files
+  const modes = sourcePaths.length
+    ? await getFileModes(sourceRepoName, sourceSha, sourcePaths)
+    : {};
+  const tree = [];
+
+  for (const {path, sha, sourcePath} of changes) {
+    tree.push({
+      mode: modes[sourcePath] || '100644',
+      path,
+      sha:
+        sha && (await createBlob(repoName, await getBlob(sourceRepoName, sha))),
+      type: 'blob',
+    });
+  }
+
+  const baseCommit = await getCommit(repoName, baseSha);
+  const treeSha = await createTree(repoName, {
+    base_tree: baseCommit.tree.sha,
+    tree,
+  });
+
+  return createCommit(repoName, {
+    message,
+    parents: [baseSha],
+    tree: treeSha,
+  });
+}
+
+/**
+ * Close a mirror pull request with a comment and delete its branch
+ *
+ * @param {MirrorType} mirror
+ * @param {string} comment
+ * @returns {Promise<void>}
+ */
+async function closeMirror(mirror, comment) {
+  await addComment(mirror, comment);
+  await closeIssue(mirror);
+
+  try {
+    await deleteBranch(mirror, mirror.branch);
+  } catch (error) {
+    // someone else already deleted it
+    if (error.status !== 422) throw error;
+  }
+}
+
+/**
+ * Create or update a mirror pull request in each child repo affected
+ * by a parent pull request, and close those that no longer are
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {{
+ *   config: ConfigType,
+ *   mirrors: Object<string, MirrorType>,
+ *   parentBranch: string,
+ *   skipRepos: string[],
+ * }} opts `mirrors` are the pull request's current mirrors by child
+ * repo name. `skipRepos` already have the change, e.g. since it was
+ * imported from them
+ * @returns {Promise<Object<string, MirrorType>>} its mirrors now
+ */
+async function updateMirrors(pullRequest, opts) {
+  const {config, mirrors, parentBranch, skipRepos} = opts;
+  const [mapping, files] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFileChanges(pullRequest),
+  ]);
+  const changesByRepo = getMirrorChanges(mapping, files);
+  const branch = getMirrorBranch(pullRequest, config);
+  const result = {};
+
+  for (const [repoName, mirror] of Object.entries(mirrors)) {
+    if (!changesByRepo[repoName] || skipRepos.includes(repoName)) {
+      await closeMirror(
+        mirror,
+        lang.notify_mirrorClosed({parentPR: pullRequest, reason: 'obsolete'}),
+      );
+    }
+  }
+
+  for (const [repoName, changes] of Object.entries(changesByRepo)) {
+    if (skipRepos.includes(repoName) || !(await isAppInstalled(repoName))) {
+      continue;
+    }
+
+    const baseBranch = getChildBranch(config, parentBranch, repoName);
+    const baseSha = await getBranchSha(repoName, baseBranch);
+
+    // reported when landing instead
+    if (!baseSha) continue;
+
+    const sha = await commitChanges(repoName, {
+      baseSha,
+      changes,
+      message: `${pullRequest.title}\n\n${pullRequest.url}`,
+      sourceRepoName: pullRequest.repoName,
+      sourceSha: pullRequest.headRefOid,
+    });
+
+    // mirrors are rebuilt on the latest child branch every time
+    if (await getBranchSha(repoName, branch)) {
+      await updateBranch(repoName, branch, sha, true);
+    } else {
+      await createBranch(repoName, branch, sha);
+    }
+
+    const data = {
+      body: lang.PRBody_mirror(pullRequest),
+      title: lang.PRTitle_mirror(pullRequest),
+    };
+    const openPRs = await listOpenPullRequests(repoName);
+    const existing = openPRs.find(({headRefName}) => headRefName === branch);
+
+    if (existing) {
+      await updatePullRequest(existing, data);
+      result[repoName] = {
+        branch,
+        number: existing.number,
+        repoName,
+        url: existing.url,
+      };
+    } else {
+      const created = await createPullRequest({
+        repoName,
+        data: {
+          ...data,
+          base: baseBranch,
+          head: branch,
+          maintainer_can_modify: false,
+        },
+      });
+
+      result[repoName] = {
+        branch,
+        number: created.number,
+        repoName,
+        url: created.html_url,
+      };
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  closeMirror,
+  commitChanges,
+  getMirrorBranch,
+  getMirrorChanges,
+  updateMirrors,
+};
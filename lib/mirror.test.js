@@ -0,0 +1,110 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const github = require('./github.js');
+const {
+  commitChanges,
+  getMirrorBranch,
+  getMirrorChanges,
+} = require('./mirror.js');
+
+jest.mock('./github.js', () => ({
+  createBlob: jest.fn(async (repoName, blob) => `${blob}-copy`),
+  createCommit: jest.fn(async () => 'commit'),
+  createTree: jest.fn(async () => 'tree'),
+  getBlob: jest.fn(async (repoName, sha) => `${sha}-content`),
+  getCommit: jest.fn(async () => ({tree: {sha: 'base-tree'}})),
+  getFileModes: jest.fn(async () => ({
+    'bin/run': '100755',
+    'link.js': '120000',
+  })),
+}));
+
+test('getMirrorBranch', () => {
+  expect(
+    getMirrorBranch({number: 12, repoName: 'foo/parent'}, DEFAULT_CONFIG),
+  ).toBe('mirrors/foo/parent/12');
+});
+
+test('getMirrorChanges', () => {
+  const mapping = {
+    'foo/child': {'packages/child': ''},
+    'foo/docs': {'docs/': 'site/'},
+    'foo/other': {'packages/other': ''},
+  };
+
+  expect(
+    getMirrorChanges(mapping, [
+      {filename: 'packages/child/index.js', sha: 'a', status: 'modified'},
+      {filename: 'packages/child/old.js', sha: 'b', status: 'removed'},
+      {
+        filename: 'docs/guide.md',
+        previousFilename: 'packages/child/guide.md',
+        sha: 'c',
+        status: 'renamed',
+      },
+      {filename: 'README.md', sha: 'd', status: 'added'},
+    ]),
+  ).toEqual({
+    'foo/child': [
+      {path: 'index.js', sha: 'a', sourcePath: 'packages/child/index.js'},
+      {path: 'old.js', sha: null},
+      {path: 'guide.md', sha: null},
+    ],
+    'foo/docs': [
+      {path: 'site/guide.md', sha: 'c', sourcePath: 'docs/guide.md'},
+    ],
+  });
+});
+
+test('commitChanges', async () => {
+  expect(
+    await commitChanges('foo/parent', {
+      baseSha: 'base',
+      changes: [
+        {path: 'projects/child/bin/run', sha: 'a', sourcePath: 'bin/run'},
+        {path: 'projects/child/link.js', sha: 'b', sourcePath: 'link.js'},
+        {path: 'projects/child/old.js', sha: null},
+      ],
+      message: 'Fix typo',
+      sourceRepoName: 'foo/child',
+      sourceSha: 'pushed',
+    }),
+  ).toBe('commit');
+  expect(github.getFileModes).toHaveBeenCalledWith('foo/child', 'pushed', [
+    'bin/run',
+    'link.js',
+  ]);
+  expect(github.createTree).toHaveBeenCalledWith('foo/parent', {
+    base_tree: 'base-tree',
+    tree: [
+      {
+        mode: '100755',
+        path: 'projects/child/bin/run',
+        sha: 'a-content-copy',
+        type: 'blob',
+      },
+      {
+        mode: '120000',
+        path: 'projects/child/link.js',
+        sha: 'b-content-copy',
+        type: 'blob',
+      },
+      {
+        mode: '100644',
+        path: 'projects/child/old.js',
+        sha: null,
+        type: 'blob',
+      },
+    ],
+  });
+  expect(github.createCommit).toHaveBeenCalledWith('foo/parent', {
+    message: 'Fix typo',
+    parents: ['base'],
+    tree: 'tree',
+  });
+});
@@ -0,0 +1,174 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getFileContent} = require('./github.js');
+
+const {USYNC_PARENT_REPO, USYNC_PARENT_REPOS} = process.env;
+// explicitly configured parent repos; if empty, every repo the
+// app is installed on is considered
+const CONFIGURED_PARENT_REPOS = (USYNC_PARENT_REPOS || USYNC_PARENT_REPO || '')
+  .split(',')
+  .map(repoName => repoName.trim())
+  .filter(Boolean);
+// these are looked up once, rather than on every webhook, and
+// refreshed by the webhooks that can change them (see `watchParents`)
+// installation id -> names of the repos it's installed on
+const INSTALLATION_REPOS = new Map();
+// repo name -> child repos mapped in its `.usyncrc.json`, or
+// nothing if it isn't a parent repo
+const CHILD_REPOS = new Map();
+
+/**
+ * @typedef {{
+ *   github: *,
+ *   payload: import('@octokit/webhooks').WebhookPayloadIssueComment,
+ * }} ProbotContextType
+ */
+
+/**
+ * Keep the result of `getValue` in `cache` until it's cleared.
+ * Failures aren't kept
+ *
+ * @template K, T
+ * @param {Map<K, Promise<T>>} cache
+ * @param {K} key
+ * @param {() => Promise<T>} getValue
+ * @returns {Promise<T>}
+ */
+function cached(cache, key, getValue) {
+  if (!cache.has(key)) {
+    const value = getValue();
+
+    value.catch(() => {
+      if (cache.get(key) === value) cache.delete(key);
+    });
+    cache.set(key, value);
+  }
+
+  return cache.get(key);
+}
+
+/**
+ * @param {string} repoName
+ * @returns {Promise<string[] | void>} child repos mapped in the repo's
+ * `.usyncrc.json`, or nothing if it isn't a parent repo
+ */
+async function getChildRepos(repoName) {
+  return cached(CHILD_REPOS, repoName, async () => {
+    let content;
+
+    try {
+      content = await getFileContent(repoName, '.usyncrc.json');
+    } catch (error) {
+      if (error.status === 404) return;
+      throw error;
+    }
+
+    try {
+      return Object.keys(JSON.parse(content).mapping || {});
+    } catch (error) {
+      // still a parent repo; uSync will report the invalid config
+      return [];
+    }
+  });
+}
+
+/**
+ * @param {ProbotContextType} context
+ * @returns {Promise<string[]>}
+ */
+async function getCandidateParentRepos(context) {
+  if (CONFIGURED_PARENT_REPOS.length) {
+    return CONFIGURED_PARENT_REPOS;
+  }
+
+  const {github, payload} = context;
+
+  return cached(INSTALLATION_REPOS, payload.installation.id, () =>
+    github.paginate(
+      github.apps.listRepos.endpoint.merge({per_page: 100}),
+      res => res.data.map(repo => repo.full_name),
+    ),
+  );
+}
+
+/**
+ * Find the parent monorepo for the webhook's repo: either the
+ * repo itself or the parent whose `.usyncrc.json` maps it
+ *
+ * @param {ProbotContextType} context
+ * @returns {Promise<string | void>}
+ */
+async function findParentRepo(context) {
+  const repoName = context.payload.repository.full_name;
+  const candidates = await getCandidateParentRepos(context);
+  const childRepos = await Promise.all(candidates.map(getChildRepos));
+
+  if (childRepos[candidates.indexOf(repoName)]) {
+    return repoName;
+  }
+
+  return candidates.find(
+    (candidate, i) => childRepos[i] && childRepos[i].includes(repoName),
+  );
+}
+
+/**
+ * @param {*} payload `push` webhook payload
+ * @returns {boolean} whether it may have changed `.usyncrc.json`
+ * on the branch it's read from
+ */
+function changesChildRepos(payload) {
+  const defaultRef = `refs/heads/${payload.repository.default_branch}`;
+
+  return (
+    payload.ref === defaultRef &&
+    (payload.forced ||
+      payload.commits.some(commit =>
+        [...commit.added, ...commit.modified, ...commit.removed].includes(
+          '.usyncrc.json',
+        ),
+      ))
+  );
+}
+
+/**
+ * Forget what's been looked up when installations or `.usyncrc.json`
+ * files change
+ *
+ * @param {import('probot').Application} app
+ */
+function watchParents(app) {
+  app.on(
+    [
+      'installation.deleted',
+      'installation_repositories.added',
+      'installation_repositories.removed',
+    ],
+    async context => {
+      const {payload} = context;
+
+      INSTALLATION_REPOS.delete(payload.installation.id);
+
+      for (const repo of payload.repositories_removed || []) {
+        CHILD_REPOS.delete(repo.full_name);
+      }
+    },
+  );
+
+  app.on('push', async context => {
+    if (changesChildRepos(context.payload)) {
+      CHILD_REPOS.delete(context.payload.repository.full_name);
+    }
+  });
+}
+
+module.exports = {
+  CONFIGURED_PARENT_REPOS,
+  findParentRepo,
+  getChildRepos,
+  watchParents,
+};
@@ -0,0 +1,98 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const github = require('./github.js');
+const {findParentRepo, watchParents} = require('./parents.js');
+
+const mockConfigs = {
+  'foo/parent': {mapping: {'foo/child': {'projects/child': ''}}},
+};
+
+jest.mock('./github.js', () => ({
+  getFileContent: jest.fn(async repoName => {
+    if (!mockConfigs[repoName]) {
+      throw Object.assign(new Error('Not Found'), {status: 404});
+    }
+
+    return JSON.stringify(mockConfigs[repoName]);
+  }),
+}));
+
+function createContext(repoName, installedRepos) {
+  return {
+    github: {
+      apps: {listRepos: {endpoint: {merge: () => ({})}}},
+      paginate: jest.fn(async () => installedRepos),
+    },
+    payload: {installation: {id: 1}, repository: {full_name: repoName}},
+  };
+}
+
+function createApp() {
+  const handlers = {};
+
+  watchParents({
+    on: (events, handler) => {
+      for (const event of [].concat(events)) {
+        handlers[event] = handler;
+      }
+    },
+  });
+
+  return {
+    receive: (event, payload) => handlers[event]({payload}),
+  };
+}
+
+test('Looks up parent repos once until they change', async () => {
+  const app = createApp();
+  const installedRepos = ['foo/child', 'foo/parent'];
+  const childContext = createContext('foo/child', installedRepos);
+
+  expect(await findParentRepo(childContext)).toBe('foo/parent');
+  expect(
+    await findParentRepo(createContext('foo/parent', installedRepos)),
+  ).toBe('foo/parent');
+  expect(await findParentRepo(createContext('foo/other', installedRepos))).toBe(
+    undefined,
+  );
+  expect(childContext.github.paginate).toHaveBeenCalledTimes(1);
+  expect(github.getFileContent).toHaveBeenCalledTimes(2);
+
+  // pushes that don't touch `.usyncrc.json` keep it
+  const push = {
+    commits: [{added: [], modified: ['README.md'], removed: []}],
+    forced: false,
+    ref: 'refs/heads/master',
+    repository: {default_branch: 'master', full_name: 'foo/parent'},
+  };
+
+  await app.receive('push', push);
+  mockConfigs['foo/parent'].mapping['foo/other'] = {'projects/other': ''};
+  expect(await findParentRepo(createContext('foo/other', installedRepos))).toBe(
+    undefined,
+  );
+
+  await app.receive('push', {
+    ...push,
+    commits: [{added: [], modified: ['.usyncrc.json'], removed: []}],
+  });
+  expect(await findParentRepo(createContext('foo/other', installedRepos))).toBe(
+    'foo/parent',
+  );
+  expect(github.getFileContent).toHaveBeenCalledTimes(3);
+
+  // the installation's repos are listed again once they change
+  const otherContext = createContext('foo/child', ['foo/child']);
+
+  expect(await findParentRepo(otherContext)).toBe('foo/parent');
+  await app.receive('installation_repositories.removed', {
+    installation: {id: 1},
+    repositories_removed: [{full_name: 'foo/parent'}],
+  });
+  expect(await findParentRepo(otherContext)).toBe(undefined);
+  expect(otherContext.github.paginate).toHaveBeenCalledTimes(1);
+});
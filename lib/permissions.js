@@ -0,0 +1,36 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// collaborator permission levels, from least to most access
+const PERMISSION_LEVELS = [
+  'none',
+  'read',
+  'triage',
+  'write',
+  'maintain',
+  'admin',
+];
+
+/**
+ * The legacy `permission` field of a collaborator's permission only
+ * has `admin`, `write`, `read` or `none`, so `role_name` is used
+ * when it's one of `PERMISSION_LEVELS`. Custom roles fall back to
+ * the `permission` they're based on
+ *
+ * @param {{permission: string, role_name?: string}} data
+ * `GET /repos/:repoName/collaborators/:username/permission` response
+ * @returns {string}
+ */
+function resolvePermissionLevel(data) {
+  return PERMISSION_LEVELS.includes(data.role_name)
+    ? data.role_name
+    : data.permission;
+}
+
+module.exports = {
+  PERMISSION_LEVELS,
+  resolvePermissionLevel,
+};
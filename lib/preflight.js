@@ -0,0 +1,138 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getChildBranch} = require('./config.js');
+const {getPullRequestFiles, hasBranch, isAppInstalled} = require('./github.js');
+const {getAffectedRepos, getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {{
+ *   reason: 'notInstalled',
+ *   repoName: string,
+ * } | {
+ *   reason: 'missingBranch' | 'conflicts',
+ *   branch: string,
+ *   repoName: string,
+ * }} BlockerType
+ */
+
+function trimSlashes(filepath) {
+  return filepath.replace(/^\/|\/$/g, '');
+}
+
+/**
+ * @param {Object<string, string>} paths `.usyncrc.json` mapping of
+ * parent paths to child paths for a single child repo
+ * @param {string} filepath path in the parent repo
+ * @returns {string | void} corresponding path in the child repo, if
+ * it's synced
+ */
+function getChildPath(paths, filepath) {
+  // most specific mapping wins
+  const entries = Object.entries(paths)
+    .map(entry => entry.map(trimSlashes))
+    .sort((a, b) => b[0].length - a[0].length);
+
+  for (const [parentPath, childPath] of entries) {
+    if (!parentPath || filepath.startsWith(`${parentPath}/`)) {
+      const relativePath = parentPath
+        ? filepath.slice(parentPath.length + 1)
+        : filepath;
+
+      return childPath ? `${childPath}/${relativePath}` : relativePath;
+    }
+  }
+}
+
+/**
+ * @param {Object<string, string>} paths `.usyncrc.json` mapping of
+ * parent paths to child paths for a single child repo
+ * @param {string} filepath path in the child repo
+ * @returns {string | void} corresponding path in the parent repo, if
+ * it's synced
+ */
+function getParentPath(paths, filepath) {
+  // most specific mapping wins
+  const entries = Object.entries(paths)
+    .map(entry => entry.map(trimSlashes))
+    .sort((a, b) => b[1].length - a[1].length);
+
+  for (const [parentPath, childPath] of entries) {
+    if (!childPath || filepath.startsWith(`${childPath}/`)) {
+      const relativePath = childPath
+        ? filepath.slice(childPath.length + 1)
+        : filepath;
+
+      return parentPath ? `${parentPath}/${relativePath}` : relativePath;
+    }
+  }
+}
+
+/**
+ * Check that every child repo affected by `pullRequest` can be
+ * landed to before anything is pushed, and that the change applies
+ * cleanly to the ones that can
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {{
+ *   config: ConfigType,
+ *   parentBranch: string,
+ *   sync: import('./BranchSync.js'),
+ * }} opts
+ * @returns {Promise<BlockerType[]>} empty if landing can proceed
+ */
+async function getLandBlockers(pullRequest, {config, parentBranch, sync}) {
+  const [mapping, filepaths] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFiles(pullRequest),
+  ]);
+  const blockers = await Promise.all(
+    getAffectedRepos(mapping, filepaths).map(async repoName => {
+      if (!(await isAppInstalled(repoName))) {
+        return {reason: 'notInstalled', repoName};
+      }
+
+      const branch = getChildBranch(config, parentBranch, repoName);
+
+      if (!(await hasBranch(repoName, branch))) {
+        return {reason: 'missingBranch', branch, repoName};
+      }
+    }),
+  ).then(results => results.filter(Boolean));
+  const readyRepos = getAffectedRepos(mapping, filepaths).filter(
+    repoName => !blockers.some(blocker => blocker.repoName === repoName),
+  );
+
+  if (readyRepos.length) {
+    const conflictingRepos = await sync.check({
+      branches: config.branches[parentBranch],
+      headBranch: pullRequest.headRefName,
+      headRepoName: pullRequest.headRepository.nameWithOwner,
+      parentBranch,
+      repoNames: readyRepos,
+    });
+
+    for (const repoName of conflictingRepos) {
+      blockers.push({
+        reason: 'conflicts',
+        branch: getChildBranch(config, parentBranch, repoName),
+        repoName,
+      });
+    }
+  }
+
+  return blockers;
+}
+
+module.exports = {
+  getChildPath,
+  getLandBlockers,
+  getParentPath,
+};
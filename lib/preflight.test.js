@@ -0,0 +1,88 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {resolveBranches, resolveConfig} = require('./config.js');
+const {
+  getChildPath,
+  getLandBlockers,
+  getParentPath,
+} = require('./preflight.js');
+
+jest.mock('./github.js', () => ({
+  getFileContent: jest.fn(async () =>
+    JSON.stringify({
+      mapping: {
+        'foo/child': {'projects/child': ''},
+        'foo/missing': {'projects/missing': ''},
+        'foo/other': {'projects/other': ''},
+        'foo/uninstalled': {'projects/uninstalled': ''},
+      },
+    }),
+  ),
+  getPullRequestFiles: jest.fn(async () => [
+    'projects/child/index.js',
+    'projects/missing/index.js',
+    'projects/other/index.js',
+    'projects/uninstalled/index.js',
+  ]),
+  hasBranch: jest.fn(async repoName => repoName !== 'foo/missing'),
+  isAppInstalled: jest.fn(async repoName => repoName !== 'foo/uninstalled'),
+}));
+
+test('getChildPath', () => {
+  const paths = {'/projects/child/': '/', 'projects/child/docs': 'docs'};
+
+  expect(getChildPath(paths, 'projects/child/index.js')).toBe('index.js');
+  expect(getChildPath(paths, 'projects/child/docs/README.md')).toBe(
+    'docs/README.md',
+  );
+  expect(getChildPath(paths, 'projects/children/index.js')).toBeUndefined();
+  expect(getChildPath({'': 'src'}, 'index.js')).toBe('src/index.js');
+});
+
+test('getParentPath', () => {
+  const paths = {'/projects/child/': '/', 'projects/child/docs': 'docs'};
+
+  expect(getParentPath(paths, 'index.js')).toBe('projects/child/index.js');
+  expect(getParentPath(paths, 'docs/README.md')).toBe(
+    'projects/child/docs/README.md',
+  );
+  expect(getParentPath({'': 'src'}, 'README.md')).toBeUndefined();
+  expect(getParentPath({'': 'src'}, 'src/index.js')).toBe('index.js');
+});
+
+test('getLandBlockers', async () => {
+  const sync = {check: jest.fn(async () => ['foo/other'])};
+  const blockers = await getLandBlockers(
+    {
+      headRefName: 'feature',
+      headRepository: {nameWithOwner: 'foo/parent'},
+      number: 1,
+      repoName: 'foo/parent',
+    },
+    {
+      config: resolveBranches(
+        resolveConfig({branches: {master: {'foo/missing': 'main'}}}),
+      ),
+      parentBranch: 'master',
+      sync,
+    },
+  );
+
+  expect(blockers).toEqual([
+    {branch: 'main', reason: 'missingBranch', repoName: 'foo/missing'},
+    {reason: 'notInstalled', repoName: 'foo/uninstalled'},
+    {branch: 'master', reason: 'conflicts', repoName: 'foo/other'},
+  ]);
+  // only repos that can be landed to are checked
+  expect(sync.check).toHaveBeenCalledWith({
+    branches: {default: 'master', 'foo/missing': 'main'},
+    headBranch: 'feature',
+    headRepoName: 'foo/parent',
+    parentBranch: 'master',
+    repoNames: ['foo/child', 'foo/other'],
+  });
+});
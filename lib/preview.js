@@ -0,0 +1,104 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {USyncError} = require('usyncit');
+const {
+  getFileContent,
+  getPullRequestFiles,
+  parsePRBody,
+} = require('./github.js');
+
+/**
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {Object<string, Object<string, string>>} SyncMapping
+ */
+
+/**
+ * Read the `.usyncrc.json` mapping from the head of a parent
+ * pull request, which is the config uSync lands with
+ *
+ * @param {PullRequestInfo} pullRequest
+ * @returns {Promise<SyncMapping>}
+ */
+async function getSyncMapping(pullRequest) {
+  try {
+    const content = await getFileContent(
+      pullRequest.headRepository.nameWithOwner,
+      '.usyncrc.json',
+      pullRequest.headRefName,
+    );
+
+    return JSON.parse(content).mapping || {};
+  } catch (error) {
+    throw new USyncError('Missing or invalid `.usyncrc.json` in parent repo');
+  }
+}
+
+/**
+ * @param {SyncMapping} mapping
+ * @param {string[]} filepaths changed files in the parent repo
+ * @returns {string[]} child repos with a mapped directory that
+ * contains any of `filepaths`
+ */
+function getAffectedRepos(mapping, filepaths) {
+  return Object.entries(mapping)
+    .filter(([, paths]) =>
+      Object.keys(paths).some(parentPath => {
+        parentPath = parentPath.replace(/^\/|\/$/g, '');
+
+        return filepaths.some(
+          filepath => !parentPath || filepath.startsWith(`${parentPath}/`),
+        );
+      }),
+    )
+    .map(([repoName]) => repoName)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Work out what landing `pullRequest` would do without landing it
+ *
+ * @param {PullRequestInfo} pullRequest
+ * @param {{
+ *   commitMessages: {generic: string} & Object<string, string>,
+ *   fallbackBranch: string,
+ * }} opts
+ * @returns {Promise<{
+ *   fallbackBranch: string,
+ *   repos: {
+ *     message: string,
+ *     repoName: string,
+ *   }[],
+ *   unknownOverrides: string[],
+ * }>}
+ */
+async function getLandPreview(pullRequest, opts) {
+  const {commitMessages, fallbackBranch} = opts;
+  const [mapping, filepaths] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFiles(pullRequest),
+  ]);
+  const {overrides = {}} = parsePRBody(pullRequest.body);
+  const repos = [
+    pullRequest.repoName,
+    ...getAffectedRepos(mapping, filepaths),
+  ].map(repoName => ({
+    message: commitMessages[repoName] || commitMessages.generic,
+    repoName,
+  }));
+  const unknownOverrides = Object.keys(overrides)
+    .filter(repoName => !(repoName in mapping))
+    .sort((a, b) => a.localeCompare(b));
+
+  return {fallbackBranch, repos, unknownOverrides};
+}
+
+module.exports = {
+  getAffectedRepos,
+  getLandPreview,
+  getSyncMapping,
+};
@@ -0,0 +1,32 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+jest.mock('./github.js', () => ({}));
+
+const {getAffectedRepos} = require('./preview.js');
+
+test('getAffectedRepos', () => {
+  const mapping = {
+    'foo/root': {'': ''},
+    'foo/child': {'/projects/child/': '/'},
+    'foo/other': {'projects/other': '', 'docs/other': 'docs'},
+  };
+
+  expect(getAffectedRepos(mapping, [])).toEqual([]);
+  expect(
+    getAffectedRepos(mapping, [
+      'projects/child/index.js',
+      'projects/children/index.js',
+    ]),
+  ).toEqual(['foo/child', 'foo/root']);
+  expect(getAffectedRepos(mapping, ['docs/other/README.md'])).toEqual([
+    'foo/other',
+    'foo/root',
+  ]);
+  expect(
+    getAffectedRepos({'foo/child': {'projects/child': ''}}, ['README.md']),
+  ).toEqual([]);
+});
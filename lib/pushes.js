@@ -0,0 +1,268 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  compareFiles,
+  createBranch,
+  createIssue,
+  createPullRequest,
+  deleteBranch,
+  getBranchSha,
+  getFileContent,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {getParentPath} = require('./preflight.js');
+const {getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./LandRecords.js').LandRecordType} LandRecordType
+ *
+ * @typedef {import('./mirror.js').MirrorChangeType} MirrorChangeType
+ *
+ * @typedef {{
+ *   after: string,
+ *   before: string,
+ *   branch: string,
+ *   commits: {
+ *     id: string,
+ *     message: string,
+ *     url: string,
+ *   }[],
+ *   compareUrl: string,
+ *   pusher: string,
+ *   repoName: string,
+ * }} PushType commits pushed directly to a synced child branch
+ *
+ * @typedef {{
+ *   config: ConfigType,
+ *   parentBranch: string,
+ *   parentRepoName: string,
+ * }} PushOpts
+ */
+
+/**
+ * @param {PushType} push
+ * @param {ConfigType} config
+ * @returns {string} parent branch its changes are imported onto
+ */
+function getPushBranch(push, config) {
+  return `${config.branchPrefixes.push}${push.repoName}/${push.after.slice(
+    0,
+    7,
+  )}`;
+}
+
+/**
+ * @param {{
+ *   headRefName: string,
+ *   headRepository: {nameWithOwner: string},
+ *   repoName: string,
+ * }} pullRequest parent pull request
+ * @param {ConfigType} config
+ * @returns {string | void} child repo whose pushed commits it
+ * imports, if it was opened for them
+ */
+function getPushedRepo(pullRequest, config) {
+  const pushPrefix = config.branchPrefixes.push;
+  const isFork =
+    pullRequest.repoName !== pullRequest.headRepository.nameWithOwner;
+
+  if (isFork || !pullRequest.headRefName.startsWith(pushPrefix)) {
+    return;
+  }
+
+  const [owner, repo] = pullRequest.headRefName
+    .slice(pushPrefix.length)
+    .split('/');
+
+  return `${owner}/${repo}`;
+}
+
+/**
+ * Whether a push brings in changes uSync already landed, e.g. from
+ * someone merging a fallback branch or pull request by hand. Merges
+ * are recognized by the landed commit or GitHub's and git's default
+ * merge messages, since squashing or rebasing changes the commit
+ *
+ * @param {PushType} push
+ * @param {LandRecordType[]} landRecords
+ * @returns {boolean}
+ */
+function isLandedPush(push, landRecords) {
+  const landedShas = new Set();
+  const fallbackMerges = [];
+
+  for (const record of landRecords) {
+    const outcome = record.repos[push.repoName];
+
+    if (!outcome) continue;
+
+    if (outcome.sha) {
+      landedShas.add(outcome.sha);
+    }
+
+    fallbackMerges.push(
+      title =>
+        title.startsWith('Merge ') &&
+        (title.endsWith(`/${record.fallbackBranch}`) ||
+          title.includes(`'${record.fallbackBranch}'`) ||
+          title.includes(`/${record.fallbackBranch}'`)),
+    );
+
+    if (outcome.fallbackPR) {
+      const suffix = `(#${outcome.fallbackPR.number})`;
+
+      fallbackMerges.push(title => title.endsWith(suffix));
+    }
+  }
+
+  return push.commits.some(({id, message}) => {
+    const [title] = message.split('\n');
+
+    return landedShas.has(id) || fallbackMerges.some(isMerge => isMerge(title));
+  });
+}
+
+/**
+ * Map a child repo's changed files to the parent repo
+ *
+ * @param {Object<string, string>} paths `.usyncrc.json` mapping of
+ * parent paths to child paths for the child repo
+ * @param {import('./github.js').FileChangeType[]} files
+ * @returns {MirrorChangeType[]} changes to synced files only
+ */
+function getPushChanges(paths, files) {
+  const changes = [];
+
+  for (const file of files) {
+    const parentPath = getParentPath(paths, file.filename);
+    const previousPath =
+      file.previousFilename && getParentPath(paths, file.previousFilename);
+
+    if (previousPath) {
+      changes.push({path: previousPath, sha: null});
+    }
+
+    if (parentPath) {
+      changes.push(
+        file.status === 'removed'
+          ? {path: parentPath, sha: null}
+          : {path: parentPath, sha: file.sha, sourcePath: file.filename},
+      );
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * @param {PushType} push
+ * @param {PushOpts} opts
+ * @returns {Promise<MirrorChangeType[]>} changes the push made to
+ * files synced from the parent repo
+ */
+async function getSyncedPushChanges(push, {parentBranch, parentRepoName}) {
+  const [mapping, files] = await Promise.all([
+    getSyncMapping({
+      headRefName: parentBranch,
+      headRepository: {nameWithOwner: parentRepoName},
+    }),
+    compareFiles(push.repoName, push.before, push.after),
+  ]);
+
+  return mapping[push.repoName]
+    ? getPushChanges(mapping[push.repoName], files)
+    : [];
+}
+
+/**
+ * Open a parent pull request with the changes a push made to
+ * synced files. uSync imports the pushed commits onto a branch cut
+ * from `parentBranch`. The child repo already has them, so landing
+ * it only merges it into the parent repo
+ *
+ * @param {PushType} push
+ * @param {PushOpts & {sync: import('./BranchSync.js')}} opts
+ * @returns {Promise<{html_url: string, number: number} | void>}
+ * nothing if none of the pushed commits change synced files
+ */
+async function importPush(push, opts) {
+  const {config, parentBranch, parentRepoName, sync} = opts;
+  const branch = getPushBranch(push, config);
+  const title = lang.PRTitle_directPush(push);
+  const summary = lang.PRBody_directPush(push);
+  let body = summary;
+
+  try {
+    body = lang.PRBody_imported({
+      importedPRs: [{body: summary, repoName: push.repoName, title}],
+      template: await getFileContent(
+        parentRepoName,
+        '.github/pull_request_template.md',
+      ),
+    });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  await createBranch(
+    parentRepoName,
+    branch,
+    await getBranchSha(parentRepoName, parentBranch),
+  );
+
+  const isImported = await sync.import({
+    baseRepoName: push.repoName,
+    childBranch: push.branch,
+    headBranch: push.branch,
+    headSha: push.after,
+    message: `${title}\n\n${push.compareUrl}`,
+    newBranch: branch,
+    parentBranch,
+    since: push.before,
+  });
+
+  if (!isImported) {
+    await deleteBranch({repoName: parentRepoName}, branch);
+    return;
+  }
+
+  return createPullRequest({
+    repoName: parentRepoName,
+    data: {base: parentBranch, body, head: branch, title},
+  });
+}
+
+/**
+ * Open an issue in the parent repo about a push's changes to
+ * synced files
+ *
+ * @param {PushType} push
+ * @param {PushOpts & {changes: MirrorChangeType[]}} opts
+ * @returns {Promise<{html_url: string, number: number}>}
+ */
+async function reportPush(push, {changes, config, parentRepoName}) {
+  return createIssue(parentRepoName, {
+    body: lang.issueBody_directPush({
+      paths: changes.map(change => change.path),
+      push,
+    }),
+    labels: [config.labels.drift],
+    title: lang.issueTitle_directPush(push),
+  });
+}
+
+module.exports = {
+  getPushBranch,
+  getPushChanges,
+  getPushedRepo,
+  getSyncedPushChanges,
+  importPush,
+  isLandedPush,
+  reportPush,
+};
@@ -0,0 +1,123 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const {
+  getPushBranch,
+  getPushChanges,
+  getPushedRepo,
+  isLandedPush,
+} = require('./pushes.js');
+
+test('getPushBranch', () => {
+  expect(
+    getPushBranch(
+      {after: '0123456789abcdef', repoName: 'foo/child'},
+      DEFAULT_CONFIG,
+    ),
+  ).toBe('pushes/foo/child/0123456');
+});
+
+test('getPushedRepo', () => {
+  const pullRequest = {
+    headRefName: 'pushes/foo/child/0123456',
+    headRepository: {nameWithOwner: 'foo/parent'},
+    repoName: 'foo/parent',
+  };
+
+  expect(getPushedRepo(pullRequest, DEFAULT_CONFIG)).toBe('foo/child');
+  expect(
+    getPushedRepo(
+      {...pullRequest, headRepository: {nameWithOwner: 'someone/parent'}},
+      DEFAULT_CONFIG,
+    ),
+  ).toBeUndefined();
+  expect(
+    getPushedRepo({...pullRequest, headRefName: 'feature'}, DEFAULT_CONFIG),
+  ).toBeUndefined();
+});
+
+test('getPushChanges', () => {
+  expect(
+    getPushChanges({'projects/child': ''}, [
+      {filename: 'index.js', sha: 'a', status: 'modified'},
+      {filename: 'old.js', sha: 'b', status: 'removed'},
+      {
+        filename: 'lib/new.js',
+        previousFilename: 'new.js',
+        sha: 'c',
+        status: 'renamed',
+      },
+    ]),
+  ).toEqual([
+    {path: 'projects/child/index.js', sha: 'a', sourcePath: 'index.js'},
+    {path: 'projects/child/old.js', sha: null},
+    {path: 'projects/child/new.js', sha: null},
+    {path: 'projects/child/lib/new.js', sha: 'c', sourcePath: 'lib/new.js'},
+  ]);
+  expect(
+    getPushChanges({'projects/child': 'src'}, [
+      {filename: '.travis.yml', sha: 'a', status: 'modified'},
+    ]),
+  ).toEqual([]);
+});
+
+test('isLandedPush', () => {
+  const landRecords = [
+    {
+      fallbackBranch: 'land/34',
+      parentBranch: 'master',
+      repos: {
+        'foo/child': {
+          branch: 'master',
+          fallbackPR: {number: 12, url: 'https://github.com/foo/child/pull/12'},
+          sha: 'fallback-sha',
+          status: 'failed',
+        },
+        'foo/parent': {branch: 'master', sha: 'parent-sha', status: 'landed'},
+      },
+    },
+  ];
+  const push = {repoName: 'foo/child'};
+  const isLanded = (...commits) =>
+    isLandedPush({...push, commits}, landRecords);
+
+  expect(isLanded({id: 'fallback-sha', message: 'Fix typo'})).toBe(true);
+  expect(
+    isLanded({
+      id: 'merge-sha',
+      message: 'Merge pull request #12 from foo/land/34\n\nFix typo',
+    }),
+  ).toBe(true);
+  expect(isLanded({id: 'merge-sha', message: "Merge branch 'land/34'"})).toBe(
+    true,
+  );
+  expect(
+    isLanded({
+      id: 'merge-sha',
+      message: "Merge remote-tracking branch 'origin/land/34' into main",
+    }),
+  ).toBe(true);
+  expect(isLanded({id: 'squash-sha', message: 'Fix typo (#12)'})).toBe(true);
+
+  expect(isLanded({id: 'other-sha', message: 'Fix typo'})).toBe(false);
+  expect(isLanded({id: 'parent-sha', message: 'Fix typo (#120)'})).toBe(false);
+  expect(
+    isLanded({
+      id: 'merge-sha',
+      message: 'Merge pull request #13 from foo/land/345',
+    }),
+  ).toBe(false);
+  expect(
+    isLandedPush(
+      {
+        commits: [{id: 'parent-sha', message: 'Fix typo'}],
+        repoName: 'foo/parent',
+      },
+      landRecords,
+    ),
+  ).toBe(true);
+});
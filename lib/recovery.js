@@ -0,0 +1,238 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {USyncError} = require('usyncit');
+const {getChildBranch} = require('./config.js');
+const {
+  compareCommits,
+  createCommit,
+  createPullRequest,
+  deleteBranch,
+  getBranchSha,
+  getCommit,
+  getPullRequestFiles,
+  mergeBranch,
+  updateBranch,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {getAffectedRepos, getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {import('./LandRecords.js').LandRecordType} LandRecordType
+ *
+ * @typedef {import('./LandRecords.js').RepoOutcomeType} RepoOutcomeType
+ */
+
+/**
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @returns {Promise<string[]>} the parent repo and every child repo
+ * a land of `pullRequest` pushes to
+ */
+async function getLandRepos(pullRequest) {
+  const [mapping, filepaths] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFiles(pullRequest),
+  ]);
+
+  return [pullRequest.repoName, ...getAffectedRepos(mapping, filepaths)];
+}
+
+/**
+ * Record the head of the synced branch in every repo a land pushes
+ * to, so its outcome can be worked out if it fails
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {{
+ *   config: ConfigType,
+ *   parentBranch: string,
+ * }} opts
+ * @returns {Promise<Object<string, {
+ *   branch: string,
+ *   sha: string,
+ * }>>} repo name -> its synced branch and head SHA
+ */
+async function getLandHeads(pullRequest, {config, parentBranch}) {
+  const repoNames = await getLandRepos(pullRequest);
+  const heads = await Promise.all(
+    repoNames.map(async repoName => {
+      const branch =
+        repoName === pullRequest.repoName
+          ? parentBranch
+          : getChildBranch(config, parentBranch, repoName);
+
+      return {branch, sha: await getBranchSha(repoName, branch)};
+    }),
+  );
+
+  return repoNames.reduce((result, repoName, i) => {
+    result[repoName] = heads[i];
+    return result;
+  }, {});
+}
+
+/**
+ * Work out what a failed land did to each repo. uSync pushes the
+ * change to `fallbackBranch` in repos it couldn't push to, so those
+ * failed; repos whose branch moved on from its head before the land
+ * landed
+ *
+ * @param {{
+ *   fallbackBranch: string,
+ *   heads: Object<string, {branch: string, sha: string}>,
+ *   parentBranch: string,
+ * }} opts `heads` is from `getLandHeads` before landing
+ * @returns {Promise<LandRecordType>}
+ */
+async function getLandOutcome({fallbackBranch, heads, parentBranch}) {
+  const repoNames = Object.keys(heads);
+  const outcomes = await Promise.all(
+    repoNames.map(async repoName => {
+      const {branch, sha: previousSha} = heads[repoName];
+      const fallbackSha = await getBranchSha(repoName, fallbackBranch);
+
+      if (fallbackSha) {
+        return {branch, sha: fallbackSha, status: 'failed'};
+      }
+
+      const headSha = await getBranchSha(repoName, branch);
+
+      if (headSha === previousSha) {
+        return {branch, status: 'skipped'};
+      }
+
+      // the landed commit comes first, even if others followed it
+      const [landedCommit] = await compareCommits(
+        repoName,
+        previousSha,
+        headSha,
+      );
+
+      return {branch, sha: landedCommit.sha, status: 'landed'};
+    }),
+  );
+
+  return {
+    fallbackBranch,
+    parentBranch,
+    repos: repoNames.reduce((result, repoName, i) => {
+      result[repoName] = outcomes[i];
+      return result;
+    }, {}),
+  };
+}
+
+/**
+ * Land the change uSync pushed to the fallback branch, then
+ * delete the fallback branch
+ *
+ * @param {string} repoName
+ * @param {{
+ *   branch: string,
+ *   fallbackBranch: string,
+ * }} opts
+ * @returns {Promise<string>} landed commit SHA
+ */
+async function retryRepo(repoName, {branch, fallbackBranch}) {
+  const fallbackSha = await getBranchSha(repoName, fallbackBranch);
+  let sha = fallbackSha;
+
+  if (!fallbackSha) {
+    throw new USyncError(
+      `\`${fallbackBranch}\` branch not found in ${repoName}`,
+    );
+  }
+
+  try {
+    await updateBranch(repoName, branch, fallbackSha);
+  } catch (error) {
+    // `branch` has moved on since the land
+    if (error.status !== 422) throw error;
+
+    sha = await mergeBranch(repoName, {
+      base: branch,
+      commit_message: `Merge branch '${fallbackBranch}'`,
+      head: fallbackBranch,
+    });
+  }
+
+  await deleteBranch({repoName}, fallbackBranch);
+  return sha;
+}
+
+/**
+ * Revert a landed commit by committing its parent's tree on top.
+ * Only done while it's still the head of `branch`, since anything
+ * landed since may depend on it
+ *
+ * @param {string} repoName
+ * @param {RepoOutcomeType} outcome
+ * @returns {Promise<string>} revert commit SHA
+ */
+async function revertRepo(repoName, {branch, sha}) {
+  if ((await getBranchSha(repoName, branch)) !== sha) {
+    throw new USyncError(
+      `\`${branch}\` in ${repoName} has changed since landing`,
+    );
+  }
+
+  const commit = await getCommit(repoName, sha);
+  const parentCommit = await getCommit(repoName, commit.parents[0].sha);
+  const revertSha = await createCommit(repoName, {
+    message: `Revert "${
+      commit.message.split('\n')[0]
+    }"\n\nThis reverts commit ${sha}.`,
+    parents: [sha],
+    tree: parentCommit.tree.sha,
+  });
+
+  await updateBranch(repoName, branch, revertSha);
+  return revertSha;
+}
+
+/**
+ * Open a pull request from the fallback branch uSync pushed to, so
+ * the change can be merged by hand instead of with `!retry-land`
+ *
+ * @param {string} repoName
+ * @param {{
+ *   branch: string,
+ *   fallbackBranch: string,
+ *   lander: string,
+ *   message: string,
+ *   pullRequest: {
+ *     number: number,
+ *     repoName: string,
+ *     url: string,
+ *   },
+ * }} opts `message` is the generated commit message for `repoName`
+ * @returns {Promise<{number: number, url: string}>}
+ */
+async function openFallbackPR(repoName, opts) {
+  const {branch, fallbackBranch, lander, message, pullRequest} = opts;
+  const fallbackPR = await createPullRequest({
+    repoName,
+    data: {
+      base: branch,
+      body: lang.PRBody_fallback({branch, lander, message, pullRequest}),
+      head: fallbackBranch,
+      title: message.split('\n')[0],
+    },
+  });
+
+  return {number: fallbackPR.number, url: fallbackPR.html_url};
+}
+
+module.exports = {
+  getLandHeads,
+  getLandOutcome,
+  openFallbackPR,
+  retryRepo,
+  revertRepo,
+};
@@ -0,0 +1,180 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const github = require('./github.js');
+const {resolveBranches, resolveConfig} = require('./config.js');
+const {
+  getLandHeads,
+  getLandOutcome,
+  openFallbackPR,
+  retryRepo,
+  revertRepo,
+} = require('./recovery.js');
+
+jest.mock('./github.js', () => ({
+  compareCommits: jest.fn(async () => [
+    {message: 'Add feature', sha: 'landed'},
+    {message: 'Add feature', sha: 'later'},
+  ]),
+  createCommit: jest.fn(async () => 'revert'),
+  createPullRequest: jest.fn(async () => ({
+    html_url: 'https://github.com/foo/failed/pull/7',
+    number: 7,
+  })),
+  deleteBranch: jest.fn(async () => {}),
+  getBranchSha: jest.fn(async (repoName, branch) => {
+    if (branch === 'land/1') {
+      return repoName === 'foo/failed' ? 'fallback' : undefined;
+    }
+
+    return 'head';
+  }),
+  getCommit: jest.fn(async (repoName, sha) => ({
+    message: 'Add feature (#1)',
+    parents: [{sha: `${sha}-parent`}],
+    tree: {sha: `${sha}-tree`},
+  })),
+  getFileContent: jest.fn(async () =>
+    JSON.stringify({
+      mapping: {
+        'foo/failed': {'projects/failed': ''},
+        'foo/landed': {'projects/landed': ''},
+        'foo/unchanged': {'projects/unchanged': ''},
+      },
+    }),
+  ),
+  getPullRequestFiles: jest.fn(async () => [
+    'projects/failed/index.js',
+    'projects/landed/index.js',
+  ]),
+  mergeBranch: jest.fn(async () => 'merge'),
+  updateBranch: jest.fn(async () => {}),
+}));
+
+afterEach(() => jest.clearAllMocks());
+
+test('getLandHeads', async () => {
+  expect(
+    await getLandHeads(
+      {
+        headRefName: 'feature',
+        headRepository: {nameWithOwner: 'foo/parent'},
+        number: 1,
+        repoName: 'foo/parent',
+      },
+      {
+        config: resolveBranches(
+          resolveConfig({branches: {master: {'foo/landed': 'main'}}}),
+        ),
+        parentBranch: 'master',
+      },
+    ),
+  ).toEqual({
+    'foo/failed': {branch: 'master', sha: 'head'},
+    'foo/landed': {branch: 'main', sha: 'head'},
+    'foo/parent': {branch: 'master', sha: 'head'},
+  });
+  expect(github.getBranchSha).toHaveBeenCalledWith('foo/landed', 'main');
+});
+
+test('getLandOutcome', async () => {
+  const record = await getLandOutcome({
+    fallbackBranch: 'land/1',
+    heads: {
+      'foo/failed': {branch: 'master', sha: 'head'},
+      'foo/landed': {branch: 'main', sha: 'before'},
+      'foo/parent': {branch: 'master', sha: 'head'},
+    },
+    parentBranch: 'master',
+  });
+
+  expect(record).toEqual({
+    fallbackBranch: 'land/1',
+    parentBranch: 'master',
+    repos: {
+      'foo/failed': {branch: 'master', sha: 'fallback', status: 'failed'},
+      'foo/landed': {branch: 'main', sha: 'landed', status: 'landed'},
+      'foo/parent': {branch: 'master', status: 'skipped'},
+    },
+  });
+  expect(github.compareCommits).toHaveBeenCalledTimes(1);
+  expect(github.compareCommits).toHaveBeenCalledWith(
+    'foo/landed',
+    'before',
+    'head',
+  );
+});
+
+test('retryRepo', async () => {
+  const opts = {branch: 'master', fallbackBranch: 'land/1'};
+
+  await expect(retryRepo('foo/failed', opts)).resolves.toBe('fallback');
+  expect(github.updateBranch).toHaveBeenCalledWith(
+    'foo/failed',
+    'master',
+    'fallback',
+  );
+  expect(github.deleteBranch).toHaveBeenCalledWith(
+    {repoName: 'foo/failed'},
+    'land/1',
+  );
+
+  // not a fast-forward
+  github.updateBranch.mockRejectedValueOnce(
+    Object.assign(new Error('Update is not a fast forward'), {status: 422}),
+  );
+  await expect(retryRepo('foo/failed', opts)).resolves.toBe('merge');
+
+  await expect(retryRepo('foo/landed', opts)).rejects.toThrow(
+    '`land/1` branch not found in foo/landed',
+  );
+});
+
+test('revertRepo', async () => {
+  await expect(
+    revertRepo('foo/landed', {branch: 'master', sha: 'head'}),
+  ).resolves.toBe('revert');
+  expect(github.createCommit).toHaveBeenCalledWith('foo/landed', {
+    message: 'Revert "Add feature (#1)"\n\nThis reverts commit head.',
+    parents: ['head'],
+    tree: 'head-parent-tree',
+  });
+  expect(github.updateBranch).toHaveBeenCalledWith(
+    'foo/landed',
+    'master',
+    'revert',
+  );
+
+  // branch has moved on
+  await expect(
+    revertRepo('foo/landed', {branch: 'master', sha: 'landed'}),
+  ).rejects.toThrow('has changed since landing');
+});
+
+test('openFallbackPR', async () => {
+  expect(
+    await openFallbackPR('foo/failed', {
+      branch: 'master',
+      fallbackBranch: 'land/1',
+      lander: 'alice',
+      message: 'Add feature (#1)\nhttps://github.com/foo/parent/pull/1',
+      pullRequest: {
+        number: 1,
+        repoName: 'foo/parent',
+        url: 'https://github.com/foo/parent/pull/1',
+      },
+    }),
+  ).toEqual({number: 7, url: 'https://github.com/foo/failed/pull/7'});
+  expect(github.createPullRequest).toHaveBeenCalledWith({
+    repoName: 'foo/failed',
+    data: expect.objectContaining({
+      base: 'master',
+      body: expect.stringContaining('@alice'),
+      head: 'land/1',
+      title: 'Add feature (#1)',
+    }),
+  });
+});
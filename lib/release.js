@@ -0,0 +1,265 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const path = require('path');
+const {
+  compareCommits,
+  createRelease,
+  getBranchSha,
+  getFileContent,
+  getLatestRelease,
+  getPullRequestFiles,
+  hasTag,
+  listOpenPullRequests,
+} = require('./github.js');
+const lang = require('./lang.js');
+const {getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {{
+ *   headRefName: string,
+ *   labels: string[],
+ * }} ReleaseCandidateType
+ *
+ * @typedef {{
+ *   repoName: string,
+ *   tag: string,
+ *   version: string,
+ * }} ChildVersionType
+ *
+ * @typedef {{
+ *   pullRequest?: {
+ *     number: number,
+ *     repoName: string,
+ *     url: string,
+ *   },
+ *   title: string,
+ * }} ReleaseNoteType
+ */
+
+/**
+ * Release pull requests are identified by `release.label` or
+ * a head branch starting with `release.branchPrefix`
+ *
+ * @param {ReleaseCandidateType} pullRequest
+ * @param {ConfigType['release']} release
+ * @returns {boolean}
+ */
+function isReleasePR(pullRequest, release) {
+  return (
+    pullRequest.labels.includes(release.label) ||
+    pullRequest.headRefName.startsWith(release.branchPrefix)
+  );
+}
+
+/**
+ * @param {string} repoName
+ * @param {ConfigType['release']} release
+ * @returns {Promise<{
+ *   number: number,
+ *   repoName: string,
+ *   title: string,
+ *   url: string,
+ * } | void>}
+ */
+async function findOpenReleasePR(repoName, release) {
+  const pullRequests = await listOpenPullRequests(repoName);
+
+  return pullRequests.find(pullRequest => isReleasePR(pullRequest, release));
+}
+
+/**
+ * Render `release.commitTitle` and `release.commitMessage`, replacing
+ * `{number}`, `{title}` and `{url}` with the pull request's
+ *
+ * @param {{
+ *   number: number,
+ *   title: string,
+ *   url: string,
+ * }} pullRequest
+ * @param {ConfigType['release']} release
+ * @returns {{message: string, title: string}}
+ */
+function getReleaseCommit(pullRequest, release) {
+  const render = template =>
+    template.replace(/{(number|title|url)}/g, (match, key) =>
+      String(pullRequest[key]),
+    );
+
+  return {
+    message: render(release.commitMessage),
+    title: render(release.commitTitle),
+  };
+}
+
+function trimSlashes(filepath) {
+  return filepath.replace(/^\/|\/$/g, '');
+}
+
+/**
+ * @param {string} repoName
+ * @param {string} filepath
+ * @param {string} ref
+ * @returns {Promise<string | void>}
+ */
+async function getPackageVersion(repoName, filepath, ref) {
+  let content;
+
+  try {
+    content = await getFileContent(repoName, filepath, ref);
+  } catch (error) {
+    if (error.status === 404) return;
+    throw error;
+  }
+
+  return content ? JSON.parse(content).version : undefined;
+}
+
+/**
+ * Find the child repos whose `package.json` version was changed by
+ * a merged release. Only child repos synced from a parent directory
+ * to their root are considered
+ *
+ * @param {{
+ *   baseSha: string,
+ *   mergeSha: string,
+ *   number: number,
+ *   repoName: string,
+ * }} releasePR merged release pull request
+ * @param {ConfigType['release']} release
+ * @returns {Promise<ChildVersionType[]>}
+ */
+async function getChildVersionChanges(releasePR, release) {
+  const {baseSha, mergeSha, repoName} = releasePR;
+  const [mapping, filepaths] = await Promise.all([
+    // the release's head branch may already be deleted
+    getSyncMapping({
+      headRefName: mergeSha,
+      headRepository: {nameWithOwner: repoName},
+    }),
+    getPullRequestFiles(releasePR),
+  ]);
+  const changes = [];
+
+  for (const [childRepoName, dirs] of Object.entries(mapping)) {
+    const parentDir = Object.keys(dirs).find(
+      dir => trimSlashes(dirs[dir]) === '',
+    );
+
+    if (parentDir === undefined) continue;
+
+    const manifestPath = path.posix.join(
+      trimSlashes(parentDir),
+      'package.json',
+    );
+
+    if (!filepaths.includes(manifestPath)) continue;
+
+    const [previousVersion, version] = await Promise.all([
+      getPackageVersion(repoName, manifestPath, baseSha),
+      getPackageVersion(repoName, manifestPath, mergeSha),
+    ]);
+
+    if (version && version !== previousVersion) {
+      changes.push({
+        repoName: childRepoName,
+        tag: release.tagFormat.replace(/{version}/g, version),
+        version,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Releases are merged into the parent repo rather than synced, so
+ * a child repo only has a new version once uSync has landed it
+ *
+ * @param {ChildVersionType} childVersion
+ * @param {string} branch child repo's synced branch
+ * @returns {Promise<string | void>} head of `branch` if its
+ * `package.json` has the version, otherwise nothing
+ */
+async function getLandedVersionSha({repoName, version}, branch) {
+  const sha = await getBranchSha(repoName, branch);
+
+  if (
+    sha &&
+    (await getPackageVersion(repoName, 'package.json', sha)) === version
+  ) {
+    return sha;
+  }
+}
+
+/**
+ * Parse a commit message generated by `!land`, whose first line
+ * ends with the parent pull request number, followed by its url
+ *
+ * @param {string} message
+ * @returns {ReleaseNoteType}
+ */
+function parseLandedCommit(message) {
+  const [firstLine, secondLine = ''] = message.split('\n');
+  const titleMatch = firstLine.match(/^(.*) \(#(\d+)\)$/);
+  const urlMatch = secondLine.match(
+    /^https:\/\/github\.com\/([^/]+\/[^/]+)\/pull\/(\d+)$/,
+  );
+
+  if (titleMatch && urlMatch && titleMatch[2] === urlMatch[2]) {
+    return {
+      pullRequest: {
+        number: parseInt(urlMatch[2]),
+        repoName: urlMatch[1],
+        url: secondLine,
+      },
+      title: titleMatch[1],
+    };
+  }
+
+  return {title: firstLine};
+}
+
+/**
+ * Tag a child repo's release commit and create a GitHub Release for
+ * it, with notes listing the commits landed since its latest release
+ *
+ * @param {ChildVersionType} childVersion
+ * @param {string} sha commit the version landed as, from
+ * `getLandedVersionSha`
+ * @returns {Promise<{html_url: string, tag_name: string} | void>}
+ * nothing if the tag already exists
+ */
+async function createChildRelease({repoName, tag}, sha) {
+  if (await hasTag(repoName, tag)) return;
+
+  const latestRelease = await getLatestRelease(repoName);
+  const commits = latestRelease
+    ? await compareCommits(repoName, latestRelease.tag_name, sha)
+    : [];
+
+  return createRelease(repoName, {
+    body: lang.releaseNotes(
+      commits.map(commit => parseLandedCommit(commit.message)),
+      latestRelease && latestRelease.tag_name,
+    ),
+    name: tag,
+    tag_name: tag,
+    target_commitish: sha,
+  });
+}
+
+module.exports = {
+  createChildRelease,
+  findOpenReleasePR,
+  getChildVersionChanges,
+  getLandedVersionSha,
+  getReleaseCommit,
+  isReleasePR,
+  parseLandedCommit,
+};
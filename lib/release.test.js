@@ -0,0 +1,160 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const {
+  findOpenReleasePR,
+  getChildVersionChanges,
+  getLandedVersionSha,
+  getReleaseCommit,
+  isReleasePR,
+  parseLandedCommit,
+} = require('./release.js');
+
+jest.mock('./github.js', () => ({
+  getBranchSha: jest.fn(async repoName => `${repoName}-head`),
+  getFileContent: jest.fn(async (repoName, filepath, ref) => {
+    const files = {
+      '.usyncrc.json': JSON.stringify({
+        mapping: {
+          'foo/bumped': {'packages/bumped': ''},
+          'foo/docs': {'docs/': 'site/'},
+          'foo/unchanged': {'packages/unchanged': ''},
+        },
+      }),
+      'packages/bumped/package.json': JSON.stringify({
+        version: ref === 'merge-sha' ? '1.1.0' : '1.0.0',
+      }),
+      'packages/unchanged/package.json': JSON.stringify({version: '2.0.0'}),
+    };
+
+    // child repos, only one of which has 1.1.0 landed
+    if (repoName !== 'foo/parent') {
+      if (repoName === 'foo/missing') return;
+
+      return JSON.stringify({
+        version: repoName === 'foo/bumped' ? '1.1.0' : '1.0.0',
+      });
+    }
+
+    if (!(filepath in files)) {
+      throw Object.assign(new Error('Not Found'), {status: 404});
+    }
+
+    return files[filepath];
+  }),
+  getPullRequestFiles: jest.fn(async () => [
+    'packages/bumped/package.json',
+    'packages/unchanged/package.json',
+  ]),
+  listOpenPullRequests: jest.fn(async repoName => [
+    {headRefName: 'feature', labels: [], number: 1, repoName},
+    {headRefName: 'releases/1.2.0', labels: [], number: 2, repoName},
+  ]),
+}));
+
+const release = DEFAULT_CONFIG.release;
+
+test('isReleasePR', () => {
+  expect(
+    isReleasePR({headRefName: 'releases/1.2.0', labels: []}, release),
+  ).toBe(true);
+  expect(isReleasePR({headRefName: 'bump', labels: ['release']}, release)).toBe(
+    true,
+  );
+  // titles no longer identify releases
+  expect(
+    isReleasePR(
+      {headRefName: 'feature', labels: [], title: 'Release 1.2.0'},
+      release,
+    ),
+  ).toBe(false);
+});
+
+test('findOpenReleasePR', async () => {
+  expect(await findOpenReleasePR('foo/parent', release)).toEqual(
+    expect.objectContaining({number: 2}),
+  );
+  expect(
+    await findOpenReleasePR('foo/parent', {...release, branchPrefix: 'rc/'}),
+  ).toBeUndefined();
+});
+
+test('getReleaseCommit', () => {
+  const pullRequest = {
+    number: 5,
+    title: 'Release 1.2.0',
+    url: 'https://github.com/foo/parent/pull/5',
+  };
+
+  expect(getReleaseCommit(pullRequest, release)).toEqual({
+    message: 'https://github.com/foo/parent/pull/5',
+    title: 'Release 1.2.0 (#5)',
+  });
+  expect(
+    getReleaseCommit(pullRequest, {
+      ...release,
+      commitMessage: '',
+      commitTitle: 'chore: {title} {unknown}',
+    }),
+  ).toEqual({message: '', title: 'chore: Release 1.2.0 {unknown}'});
+});
+
+test('getChildVersionChanges', async () => {
+  expect(
+    await getChildVersionChanges(
+      {
+        baseSha: 'base-sha',
+        mergeSha: 'merge-sha',
+        number: 3,
+        repoName: 'foo/parent',
+      },
+      release,
+    ),
+  ).toEqual([{repoName: 'foo/bumped', tag: 'v1.1.0', version: '1.1.0'}]);
+});
+
+test('getLandedVersionSha', async () => {
+  const childVersion = {tag: 'v1.1.0', version: '1.1.0'};
+
+  expect(
+    await getLandedVersionSha(
+      {...childVersion, repoName: 'foo/bumped'},
+      'main',
+    ),
+  ).toBe('foo/bumped-head');
+  expect(
+    await getLandedVersionSha(
+      {...childVersion, repoName: 'foo/behind'},
+      'main',
+    ),
+  ).toBeUndefined();
+  // no `package.json` content
+  expect(
+    await getLandedVersionSha(
+      {...childVersion, repoName: 'foo/missing'},
+      'main',
+    ),
+  ).toBeUndefined();
+});
+
+test('parseLandedCommit', () => {
+  expect(
+    parseLandedCommit(
+      'Fix bug (#10)\nhttps://github.com/foo/parent/pull/10\n\nSummary',
+    ),
+  ).toEqual({
+    pullRequest: {
+      number: 10,
+      repoName: 'foo/parent',
+      url: 'https://github.com/foo/parent/pull/10',
+    },
+    title: 'Fix bug',
+  });
+  expect(parseLandedCommit('Manual commit (#4)\n\nDetails')).toEqual({
+    title: 'Manual commit (#4)',
+  });
+});
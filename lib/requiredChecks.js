@@ -0,0 +1,59 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getCommitChecks, getPullRequestFiles} = require('./github.js');
+const {getAffectedRepos, getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {{
+ *   name: string,
+ *   repoName: string,
+ *   state: 'failure' | 'missing' | 'pending',
+ * }} CheckProblemType
+ */
+
+/**
+ * Check the required checks of the parent repo, and of each child
+ * repo the pull request syncs to, against the pull request's head
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {Object<string, string[]>} requiredChecks repo name -> check
+ * run or status names
+ * @returns {Promise<CheckProblemType[]>} empty if every required
+ * check passed
+ */
+async function getRequiredCheckProblems(pullRequest, requiredChecks) {
+  if (!Object.keys(requiredChecks).length) return [];
+
+  const [mapping, filepaths, checks] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFiles(pullRequest),
+    getCommitChecks(pullRequest.repoName, pullRequest.headRefOid),
+  ]);
+  const repoNames = [
+    pullRequest.repoName,
+    ...getAffectedRepos(mapping, filepaths),
+  ];
+  const problems = [];
+
+  for (const repoName of repoNames) {
+    for (const name of requiredChecks[repoName] || []) {
+      const state = checks[name] || 'missing';
+
+      if (state !== 'success') {
+        problems.push({name, repoName, state});
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  getRequiredCheckProblems,
+};
@@ -0,0 +1,56 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {getCommitChecks} = require('./github.js');
+const {getRequiredCheckProblems} = require('./requiredChecks.js');
+
+jest.mock('./github.js', () => ({
+  getCommitChecks: jest.fn(async () => ({
+    build: 'success',
+    'child-tests': 'failure',
+    lint: 'pending',
+  })),
+  getFileContent: jest.fn(async () =>
+    JSON.stringify({
+      mapping: {
+        'foo/child': {'projects/child': ''},
+        'foo/other': {'projects/other': ''},
+      },
+    }),
+  ),
+  getPullRequestFiles: jest.fn(async () => ['projects/child/index.js']),
+}));
+
+const pullRequest = {
+  headRefName: 'feature',
+  headRefOid: 'abc123',
+  headRepository: {nameWithOwner: 'foo/parent'},
+  number: 1,
+  repoName: 'foo/parent',
+};
+
+test('getRequiredCheckProblems', async () => {
+  expect(
+    await getRequiredCheckProblems(pullRequest, {
+      'foo/child': ['child-tests', 'child-e2e'],
+      // not affected by the pull request
+      'foo/other': ['other-tests'],
+      'foo/parent': ['build', 'lint'],
+    }),
+  ).toEqual([
+    {name: 'lint', repoName: 'foo/parent', state: 'pending'},
+    {name: 'child-tests', repoName: 'foo/child', state: 'failure'},
+    {name: 'child-e2e', repoName: 'foo/child', state: 'missing'},
+  ]);
+  expect(getCommitChecks).toHaveBeenCalledWith('foo/parent', 'abc123');
+});
+
+test('getRequiredCheckProblems without required checks', async () => {
+  getCommitChecks.mockClear();
+
+  expect(await getRequiredCheckProblems(pullRequest, {})).toEqual([]);
+  expect(getCommitChecks).not.toHaveBeenCalled();
+});
@@ -0,0 +1,154 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {
+  createOwnerMatcher,
+  getOwners,
+  loadCodeowners,
+} = require('./codeowners.js');
+const {getPullRequestFiles} = require('./github.js');
+const {getChildPath} = require('./preflight.js');
+const {getAffectedRepos, getSyncMapping} = require('./preview.js');
+
+/**
+ * @typedef {import('./config.js').ConfigType} ConfigType
+ *
+ * @typedef {import('./github.js').PullRequestInfo} PullRequestInfo
+ *
+ * @typedef {{
+ *   reason: 'approvals',
+ *   approvals: number,
+ *   required: number,
+ *   requireLatestCommit: boolean,
+ * } | {
+ *   reason: 'changesRequested',
+ *   reviewers: string[],
+ * } | {
+ *   reason: 'codeowners',
+ *   paths: string[],
+ *   repoName: string,
+ * }} ReviewProblemType
+ */
+
+/**
+ * Each reviewer's most recent approval or change request; comments
+ * don't change a reviewer's verdict and dismissals clear it
+ *
+ * @param {PullRequestInfo} pullRequest
+ * @returns {Map<string, PullRequestInfo['reviews']['nodes'][0]>}
+ */
+function getLatestReviews(pullRequest) {
+  const result = new Map();
+
+  for (const review of pullRequest.reviews.nodes) {
+    // deleted users
+    if (!review.author) continue;
+
+    const {login} = review.author;
+
+    if (review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED') {
+      result.set(login, review);
+    } else if (review.state === 'DISMISSED') {
+      result.delete(login);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {string[]} approvers
+ * @returns {Promise<ReviewProblemType[]>} synced files without
+ * approval from one of their code owners, per child repo
+ */
+async function getCodeownersProblems(pullRequest, approvers) {
+  const [mapping, filepaths, rules] = await Promise.all([
+    getSyncMapping(pullRequest),
+    getPullRequestFiles(pullRequest),
+    loadCodeowners(pullRequest.repoName),
+  ]);
+  const isApprovedBy = createOwnerMatcher(approvers);
+  const problems = await Promise.all(
+    getAffectedRepos(mapping, filepaths).map(async repoName => {
+      const unapprovedPaths = [];
+
+      for (const filepath of filepaths) {
+        if (getChildPath(mapping[repoName], filepath) === undefined) continue;
+
+        // email owners can't be matched to reviewers
+        const owners = getOwners(rules, filepath).filter(owner =>
+          owner.startsWith('@'),
+        );
+
+        if (!owners.length) continue;
+
+        const approvals = await Promise.all(owners.map(isApprovedBy));
+
+        if (!approvals.some(Boolean)) {
+          unapprovedPaths.push(filepath);
+        }
+      }
+
+      if (unapprovedPaths.length) {
+        return {paths: unapprovedPaths, reason: 'codeowners', repoName};
+      }
+    }),
+  );
+
+  return problems.filter(Boolean);
+}
+
+/**
+ * Check `pullRequest`'s reviews against the parent repo's
+ * `reviews` config
+ *
+ * @param {PullRequestInfo} pullRequest parent pull request
+ * @param {ConfigType['reviews']} rules
+ * @returns {Promise<ReviewProblemType[]>} empty if the rules are met
+ */
+async function getReviewProblems(pullRequest, rules) {
+  const problems = [];
+  const reviews = [...getLatestReviews(pullRequest).values()];
+  const approvers = reviews
+    .filter(
+      review =>
+        review.state === 'APPROVED' &&
+        (!rules.requireLatestCommit ||
+          (review.commit && review.commit.oid === pullRequest.headRefOid)),
+    )
+    .map(review => review.author.login);
+
+  if (approvers.length < rules.approvals) {
+    problems.push({
+      approvals: approvers.length,
+      reason: 'approvals',
+      required: rules.approvals,
+      requireLatestCommit: rules.requireLatestCommit,
+    });
+  }
+
+  if (rules.blockChangesRequested) {
+    const reviewers = reviews
+      .filter(review => review.state === 'CHANGES_REQUESTED')
+      .map(review => review.author.login);
+
+    if (reviewers.length) {
+      problems.push({reason: 'changesRequested', reviewers});
+    }
+  }
+
+  if (rules.codeowners) {
+    problems.push(...(await getCodeownersProblems(pullRequest, approvers)));
+  }
+
+  return problems;
+}
+
+module.exports = {
+  getLatestReviews,
+  getReviewProblems,
+};
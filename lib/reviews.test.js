@@ -0,0 +1,107 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const {DEFAULT_CONFIG} = require('./config.js');
+const {getLatestReviews, getReviewProblems} = require('./reviews.js');
+
+jest.mock('./github.js', () => ({
+  getFileContent: jest.fn(async (repoName, filepath) => {
+    if (filepath === '.usyncrc.json') {
+      return JSON.stringify({
+        mapping: {
+          'foo/child': {'projects/child': ''},
+          'foo/other': {'projects/other': ''},
+        },
+      });
+    } else if (filepath === '.github/CODEOWNERS') {
+      return '/projects/child/ @child-owner\n/projects/other/ @foo/other-team';
+    }
+
+    throw Object.assign(new Error('Not Found'), {status: 404});
+  }),
+  getPullRequestFiles: jest.fn(async () => [
+    'projects/child/index.js',
+    'projects/other/index.js',
+    'README.md',
+  ]),
+  isTeamMember: jest.fn(
+    async (team, username) => team === '@foo/other-team' && username === 'bar',
+  ),
+}));
+
+function createPullRequest(reviews) {
+  return {
+    headRefName: 'feature',
+    headRefOid: 'new',
+    headRepository: {nameWithOwner: 'foo/parent'},
+    number: 1,
+    repoName: 'foo/parent',
+    reviews: {
+      nodes: reviews.map(([login, state, oid = 'new']) => ({
+        author: {login},
+        commit: {oid},
+        state,
+      })),
+    },
+  };
+}
+
+test('getLatestReviews', () => {
+  const reviews = getLatestReviews(
+    createPullRequest([
+      ['foo', 'CHANGES_REQUESTED'],
+      ['foo', 'COMMENTED'],
+      ['bar', 'APPROVED'],
+      ['bar', 'DISMISSED'],
+      ['foo', 'APPROVED'],
+    ]),
+  );
+
+  expect([...reviews.keys()]).toEqual(['foo']);
+  expect(reviews.get('foo').state).toBe('APPROVED');
+});
+
+test('getReviewProblems', async () => {
+  const rules = DEFAULT_CONFIG.reviews;
+
+  expect(
+    await getReviewProblems(createPullRequest([['foo', 'APPROVED']]), rules),
+  ).toEqual([]);
+  expect(
+    await getReviewProblems(
+      createPullRequest([
+        ['foo', 'APPROVED', 'old'],
+        ['bar', 'CHANGES_REQUESTED'],
+      ]),
+      {
+        ...rules,
+        approvals: 2,
+        blockChangesRequested: true,
+        requireLatestCommit: true,
+      },
+    ),
+  ).toEqual([
+    {
+      approvals: 0,
+      reason: 'approvals',
+      required: 2,
+      requireLatestCommit: true,
+    },
+    {reason: 'changesRequested', reviewers: ['bar']},
+  ]);
+  expect(
+    await getReviewProblems(createPullRequest([['bar', 'APPROVED']]), {
+      ...rules,
+      codeowners: true,
+    }),
+  ).toEqual([
+    {
+      paths: ['projects/child/index.js'],
+      reason: 'codeowners',
+      repoName: 'foo/child',
+    },
+  ]);
+});
@@ -0,0 +1,63 @@
+/** Copyright (c) 2019 Uber Technologies, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+
+const appendFile = promisify(fs.appendFile);
+const mkdir = promisify(fs.mkdir);
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<* | void>} parsed content, or nothing if the
+ * file doesn't exist yet
+ */
+async function readJSON(filepath) {
+  try {
+    return JSON.parse(await readFile(filepath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+}
+
+/**
+ * Write through a temp file so a crash can't leave a partially
+ * written file. Callers are responsible for not overlapping writes
+ *
+ * @param {string} filepath
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+async function writeJSON(filepath, data) {
+  const tempPath = `${filepath}.tmp`;
+
+  await mkdir(path.dirname(filepath), {recursive: true});
+  await writeFile(tempPath, JSON.stringify(data, null, 2));
+  await rename(tempPath, filepath);
+}
+
+/**
+ * Append `data` as a line of JSON, for logs that are never rewritten
+ *
+ * @param {string} filepath
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+async function appendJSONLine(filepath, data) {
+  await mkdir(path.dirname(filepath), {recursive: true});
+  await appendFile(filepath, `${JSON.stringify(data)}\n`);
+}
+
+module.exports = {
+  appendJSONLine,
+  readJSON,
+  writeJSON,
+};